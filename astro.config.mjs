@@ -1,5 +1,10 @@
 // @ts-check
 import { defineConfig } from 'astro/config';
+import imageVariants from './src/integrations/imageVariants';
 
 // https://astro.build/config
-export default defineConfig({});
+export default defineConfig({
+  // Used for canonical and Open Graph URLs
+  site: 'https://suit-ji.com',
+  integrations: [imageVariants()],
+});
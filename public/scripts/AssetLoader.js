@@ -0,0 +1,61 @@
+import * as THREE from "https://unpkg.com/three@0.176.0/build/three.module.js";
+import { debug } from './debug.js';
+
+const RETRIES = 2; // Attempts after the first one
+const RETRY_DELAY = 500; // ms before the first retry, doubled for each one after
+
+// Loads the gallery's textures and images through one LoadingManager, so its
+// progress covers everything in flight. A failed request is retried a few
+// times; after that the load resolves with null instead of rejecting, and
+// the url is reported through onError, so one broken image never holds up
+// the rest of the room.
+export default class AssetLoader {
+  constructor(options = {}) {
+    this.onProgress = options.onProgress || null; // (loaded, total)
+    this.onError = options.onError || null; // (url)
+    this.failed = new Set();
+    this.anisotropy = 1; // Applied to every texture loaded from here on
+
+    this.manager = new THREE.LoadingManager();
+    this.manager.onProgress = (url, loaded, total) => {
+      if (this.onProgress) this.onProgress(loaded, total);
+    };
+    this.textureLoader = new THREE.TextureLoader(this.manager);
+    this.imageLoader = new THREE.ImageLoader(this.manager);
+  }
+
+  loadTexture(url) {
+    return this.load(this.textureLoader, url);
+  }
+
+  loadImage(url) {
+    return this.load(this.imageLoader, url);
+  }
+
+  load(loader, url) {
+    // The asset counts as one item of its own from the first attempt to the
+    // last, so progress doesn't reach the end while a retry is waiting
+    this.manager.itemStart(url);
+
+    return new Promise(resolve => {
+      const attempt = (retriesLeft, delay) => {
+        loader.load(url, result => {
+          if (result.isTexture) result.anisotropy = this.anisotropy;
+          this.manager.itemEnd(url);
+          resolve(result);
+        }, undefined, () => {
+          if (retriesLeft > 0) {
+            setTimeout(() => attempt(retriesLeft - 1, delay * 2), delay);
+            return;
+          }
+          debug.warn(`AssetLoader: Giving up on ${url} after ${RETRIES + 1} attempts`);
+          this.failed.add(url);
+          if (this.onError) this.onError(url);
+          this.manager.itemEnd(url);
+          resolve(null);
+        });
+      };
+      attempt(RETRIES, RETRY_DELAY);
+    });
+  }
+}
@@ -0,0 +1,104 @@
+import * as THREE from "https://unpkg.com/three@0.176.0/build/three.module.js";
+
+// Easing curves by name; each maps linear progress (0-1) to eased progress
+export const EASINGS = {
+  linear: t => t,
+  easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+// Without an explicit duration, longer and wider moves take longer, within
+// MIN_DURATION and MAX_DURATION milliseconds
+const MIN_DURATION = 400;
+const MAX_DURATION = 3000;
+const MS_PER_METER = 100;
+const MS_PER_RADIAN = 250;
+
+// A timed camera move from one pose through optional stops to a final pose.
+// Progress comes from elapsed time, not frames, so it runs at the same speed
+// on every display. The position follows a curve through the stops at an
+// eased, even pace; the rotation blends between the poses on either side.
+export default class CameraTransition {
+  constructor(from, poses, options = {}) {
+    this.poses = [from, ...poses];
+    this.curve = this.createCurve(options.control);
+    this.length = this.curve.getLength();
+    this.easing = typeof options.easing === 'function'
+      ? options.easing
+      : EASINGS[options.easing || 'easeInOutCubic'];
+    this.duration = options.duration ?? this.getDefaultDuration();
+    this.startTime = null;
+    this.segment = 0;
+
+    // Resolves with true once the camera arrives, or false when interrupted
+    this.promise = new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  // Several stops get a smooth curve through all of them; a single move is
+  // straight unless a control point bends it
+  createCurve(control) {
+    const points = this.poses.map(pose => pose.position);
+    if (points.length > 2) return new THREE.CatmullRomCurve3(points, false, 'centripetal');
+    if (control) return new THREE.QuadraticBezierCurve3(points[0], control, points[1]);
+    return new THREE.LineCurve3(points[0], points[1]);
+  }
+
+  getDefaultDuration() {
+    let angle = 0;
+    for (let i = 1; i < this.poses.length; i++) {
+      angle += this.poses[i - 1].rotation.angleTo(this.poses[i].rotation);
+    }
+    const duration = MIN_DURATION + this.length * MS_PER_METER + angle * MS_PER_RADIAN;
+    return Math.min(duration, MAX_DURATION);
+  }
+
+  // Move the camera to where it should be at `now`; returns true when done
+  update(camera, now) {
+    if (this.startTime === null) this.startTime = now;
+    const progress = this.duration > 0 ? Math.min((now - this.startTime) / this.duration, 1) : 1;
+
+    if (progress >= 1) {
+      const last = this.poses[this.poses.length - 1];
+      camera.position.copy(last.position);
+      camera.quaternion.copy(last.rotation);
+      this.segment = this.poses.length - 2;
+      return true;
+    }
+
+    // The curve parameter tells which stops the camera is between, even when
+    // the stops are unevenly spaced
+    const u = this.easing(progress);
+    const t = this.length > 1e-6 ? this.curve.getUtoTmapping(u) : u;
+    const segments = this.poses.length - 1;
+    this.segment = Math.min(Math.floor(t * segments), segments - 1);
+
+    camera.position.copy(this.curve.getPointAt(u));
+    camera.quaternion.slerpQuaternions(
+      this.poses[this.segment].rotation,
+      this.poses[this.segment + 1].rotation,
+      t * segments - this.segment
+    );
+    return false;
+  }
+
+  // Stops between the camera and the final pose that it has not reached yet
+  getUpcomingStops() {
+    return this.poses.slice(this.segment + 1, -1);
+  }
+
+  // Push the move back by `duration` ms, e.g. the time rendering was paused,
+  // so it carries on from where it stopped
+  delay(duration) {
+    if (this.startTime !== null) this.startTime += duration;
+  }
+
+  finish() {
+    this.resolve(true);
+  }
+
+  cancel() {
+    this.resolve(false);
+  }
+}
@@ -0,0 +1,66 @@
+import { debug } from './debug.js';
+
+// Listeners by event name for the gallery views. Each view names the events
+// it emits, and subscribing to any other name throws, so a typo shows up
+// right away instead of as a listener that never runs.
+/**
+ * @template {Record<string, unknown>} EventMap What listeners receive, by event name
+ */
+export default class EventEmitter {
+  /**
+   * @param {(keyof EventMap & string)[]} eventTypes
+   */
+  constructor(eventTypes) {
+    /** @type {Map<string, Set<(detail: any) => void>>} */
+    this.listeners = new Map(eventTypes.map(type => [type, new Set()]));
+  }
+
+  /**
+   * @template {keyof EventMap & string} K
+   * @param {K} type
+   * @param {(detail: EventMap[K]) => void} listener
+   * @returns {() => void} Removes the listener again
+   */
+  on(type, listener) {
+    this.getListeners(type).add(listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * @template {keyof EventMap & string} K
+   * @param {K} type
+   * @param {(detail: EventMap[K]) => void} listener
+   */
+  off(type, listener) {
+    this.getListeners(type).delete(listener);
+  }
+
+  /**
+   * A listener that throws is logged and doesn't stop the others
+   * @template {keyof EventMap & string} K
+   * @param {K} type
+   * @param {EventMap[K]} [detail]
+   */
+  emit(type, detail) {
+    [...this.getListeners(type)].forEach(listener => {
+      try {
+        listener(detail);
+      } catch (error) {
+        debug.error(`EventEmitter: A "${type}" listener failed:`, error);
+      }
+    });
+  }
+
+  /**
+   * @param {string} type
+   */
+  getListeners(type) {
+    const listeners = this.listeners.get(type);
+    if (!listeners) throw new Error(`Unknown event "${type}"`);
+    return listeners;
+  }
+
+  removeAllListeners() {
+    this.listeners.forEach(listeners => listeners.clear());
+  }
+}
@@ -0,0 +1,668 @@
+import * as THREE from "https://unpkg.com/three@0.176.0/build/three.module.js";
+import AssetLoader from "./AssetLoader.js";
+import PaintingManager from "./PaintingManager.js";
+import RoomLighting from "./RoomLighting.js";
+import { createSurfaceMaterial, getMaterialTextures } from "./materials.js";
+import { debug } from './debug.js';
+
+// Walls paintings can be hung on. The back wall faces away from the overview
+// camera, so it is only used when enabled or when a painting is pinned to it.
+const WALLS = ['left', 'front', 'right', 'back'];
+const WALL_ROTATIONS = {
+  left: Math.PI / 2,
+  front: 0,
+  right: -Math.PI / 2,
+  back: Math.PI
+};
+
+// FNV-1a hash, used to turn a layout seed string into a number
+function hashString(value) {
+  let hash = 2166136261;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// Small seeded PRNG (mulberry32) so the layout is the same on every visit
+function createSeededRandom(seed) {
+  let state = hashString(String(seed));
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Free the geometries, materials and textures of everything under an object
+function disposeObject(root) {
+  root.traverse(object => {
+    if (!object.isMesh) return;
+    object.geometry.dispose();
+    getMaterialTextures(object.material).forEach(texture => texture.dispose());
+    object.material.dispose();
+  });
+}
+
+// Each surface is an image path or { map, normalMap, roughnessMap, roughness }
+const DEFAULT_TEXTURES = {
+  left: "/textures/wall.jpg",
+  right: "/textures/wall.jpg",
+  front: "/textures/wall.jpg",
+  back: "/textures/wall.jpg",
+  floor: "/textures/floor.jpg",
+  ceiling: "/textures/ceiling.jpg",
+};
+
+// Doorways are cut into the middle of the left and right walls at floor level
+export const DOOR_WIDTH = 2.4;
+export const DOOR_HEIGHT = 3.2;
+// Length of the passage between two rooms; each room builds its own half
+export const DOOR_DEPTH = 0.4;
+
+// One room of the gallery: its paintings, layout and walls. Everything is
+// built inside a group so Room3D can place rooms next to each other and
+// load or drop them as the visitor moves around.
+export default class ExhibitRoom {
+  constructor(scene, room, paintings, options = {}) {
+    this.scene = scene;
+    this.slug = room.slug;
+    this.title = room.title;
+    this.paintings = paintings; // [{ data, id }], ids are global painting ids
+    this.doors = options.doors || {}; // { left, right }
+
+    // Seed for placing paintings without a wall/order; defaults to one derived
+    // from the painting list so the room only changes when the exhibits do
+    this.layoutSeed = options.layoutSeed ?? paintings.map(({ data }) => data.slug || data.url).join('|');
+    this.useBackWall = Boolean(options.useBackWall ?? room.useBackWall);
+    this.textures = { ...DEFAULT_TEXTURES, ...room.textures };
+    this.lightingQuality = options.lightingQuality || 'medium';
+    this.imageVariants = options.imageVariants || null;
+    this.assetLoader = options.assetLoader || new AssetLoader();
+    // Asks for a frame when content appears after the room counts as loaded
+    this.requestRender = options.requestRender || (() => {});
+
+    // Packing limits: a wall wraps into another row once it would get longer
+    // than MAX_WALL_LENGTH, up to MAX_ROWS rows
+    this.MAX_WALL_LENGTH = 20;
+    this.MAX_ROWS = 3;
+    this.WALL_PADDING = 2; // 2 meters padding at each end of a wall
+    this.PAINTING_GAP = 1; // 1 meter minimum gap between compositions
+    this.ROW_GAP = 1; // 1 meter between rows
+
+    this.group = null;
+    this.paintingManager = null;
+    this.lighting = null;
+    this.dimensions = null;
+    this.loading = null;
+    this.loadId = 0; // Bumped by unload() so a load in progress is abandoned
+    this.isLoaded = false;
+    this.isPlaced = false;
+  }
+
+  // Load the paintings and build the room; repeated calls share one load
+  load() {
+    if (!this.loading) {
+      this.loading = this.build();
+    }
+    return this.loading;
+  }
+
+  async build() {
+    const loadId = ++this.loadId;
+    const group = new THREE.Group();
+    group.visible = false; // Hidden until Room3D places it
+    this.group = group;
+    this.paintingManager = new PaintingManager(group, this.assetLoader, this.imageVariants, this.requestRender);
+
+    // First, load all paintings without positioning them
+    const loadedPaintings = await Promise.all(
+      this.paintings.map(({ data, id }) => this.paintingManager.loadPainting(data, id))
+    );
+
+    // The room was unloaded while its paintings loaded; it resolves unloaded.
+    // Nothing has been hung yet, so the paintings are freed one by one.
+    if (loadId !== this.loadId) {
+      loadedPaintings.forEach(({ mesh }) => {
+        [mesh, ...mesh.userData.additionalImageMeshes, mesh.userData.plaque]
+          .filter(Boolean)
+          .forEach(disposeObject);
+      });
+      return this;
+    }
+
+    // Calculate total space needed and arrange paintings
+    const totalSpace = this.calculateTotalSpaceNeeded(loadedPaintings);
+
+    // Now calculate room dimensions based on the arranged paintings
+    this.wallLayout = totalSpace.walls;
+    this.dimensions = this.calculateRoomDimensions(totalSpace);
+
+    // Create the room with the calculated dimensions, then hang the paintings
+    this.setupRoom();
+    this.positionPaintings();
+
+    this.lighting = this.createLighting();
+    this.paintingManager.getInteractiveMeshes().forEach(mesh => {
+      mesh.castShadow = true;
+    });
+
+    this.scene.add(this.group);
+    this.isLoaded = true;
+    debug.log(`Room "${this.slug}" loaded:`, this.dimensions);
+    return this;
+  }
+
+  createLighting() {
+    const lighting = new RoomLighting(this.group, this.dimensions, this.lightingQuality);
+    lighting.addSpotlights(this.paintingManager);
+    return lighting;
+  }
+
+  // Swap the lights for another tier. Wall, floor and ceiling materials keep
+  // the maps they were made with until the room is built again.
+  setLightingQuality(quality) {
+    this.lightingQuality = quality;
+    if (!this.isLoaded || this.lighting.quality === quality) return;
+    this.lighting.dispose();
+    this.lighting = this.createLighting();
+  }
+
+  // Anisotropic filtering for every texture in the room; they are uploaded again
+  setAnisotropy(anisotropy) {
+    if (!this.isLoaded) return;
+    this.group.traverse(object => {
+      if (!object.isMesh) return;
+      getMaterialTextures(object.material).forEach(texture => {
+        if (texture.anisotropy === anisotropy) return;
+        texture.anisotropy = anisotropy;
+        texture.needsUpdate = true;
+      });
+    });
+  }
+
+  // Move the room to its place in the world and show it
+  place(position) {
+    this.group.position.copy(position);
+    this.group.visible = true;
+    this.isPlaced = true;
+  }
+
+  // Free everything the room holds on the GPU; load() builds it again. A
+  // load still in progress is abandoned and cleans up after itself.
+  unload() {
+    this.loadId++;
+    this.loading = null;
+    if (!this.isLoaded) {
+      this.group = null;
+      this.paintingManager = null;
+      return;
+    }
+
+    this.paintingManager.subContentManager.dispose();
+    this.lighting.dispose();
+    this.scene.remove(this.group);
+    disposeObject(this.group);
+
+    this.group = null;
+    this.paintingManager = null;
+    this.lighting = null;
+    this.isLoaded = false;
+    this.isPlaced = false;
+    debug.log(`Room "${this.slug}" unloaded`);
+  }
+
+  // Plays the focused painting's videos, turns up its spotlight and loads
+  // its images in full
+  setFocusedPainting(paintingId) {
+    this.paintingManager.subContentManager.setFocusedPainting(paintingId);
+    this.lighting.setFocusedPainting(paintingId);
+    if (paintingId !== null) this.paintingManager.loadFullResolution(paintingId);
+  }
+
+  // World position of a doorway's threshold, halfway along its passage
+  getDoorway(side) {
+    const sign = side === 'left' ? -1 : 1;
+    return new THREE.Vector3(
+      sign * (this.dimensions.width / 2 + DOOR_DEPTH / 2),
+      -this.dimensions.height / 2,
+      0
+    ).add(this.group.position);
+  }
+
+  // Width kept free around a doorway on the walls that have one
+  getDoorGap(wall) {
+    return this.doors[wall] ? DOOR_WIDTH + this.PAINTING_GAP * 2 : 0;
+  }
+
+  calculateTotalSpaceNeeded(paintings) {
+    const random = createSeededRandom(this.layoutSeed);
+    let maxHeight = 0;
+
+    // Calculate the composition size of every painting
+    const paintingsWithSizes = paintings.map(painting => {
+      const size = this.paintingManager.calculatePaintingCompositionSize(painting.mesh);
+      maxHeight = Math.max(maxHeight, size.height);
+      return {
+        painting,
+        size,
+        wall: painting.mesh.userData.wall,
+        order: painting.mesh.userData.order
+      };
+    });
+
+    // Seeded shuffle so unplaced paintings get a stable but varied order
+    const shuffledPaintings = [...paintingsWithSizes];
+    for (let i = shuffledPaintings.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffledPaintings[i], shuffledPaintings[j]] = [shuffledPaintings[j], shuffledPaintings[i]];
+    }
+    shuffledPaintings.forEach((item, index) => {
+      item.rank = index;
+    });
+
+    // The back wall is opt-in, but pinning a painting to it enables it
+    const activeWalls = WALLS.filter(wall =>
+      wall !== 'back' || this.useBackWall || paintingsWithSizes.some(item => item.wall === 'back')
+    );
+    this.activeWalls = activeWalls;
+
+    const walls = {};
+    activeWalls.forEach(wall => {
+      walls[wall] = { items: [], width: 0 };
+    });
+
+    const assign = (item, wall) => {
+      item.painting.targetWall = wall;
+      walls[wall].items.push(item);
+      walls[wall].width += item.size.width;
+    };
+
+    // Author-placed paintings first, then balance the rest by composition width:
+    // widest first onto whichever wall currently has the least width
+    shuffledPaintings.filter(item => item.wall).forEach(item => assign(item, item.wall));
+    shuffledPaintings
+      .filter(item => !item.wall)
+      .sort((a, b) => (b.size.width - a.size.width) || (a.rank - b.rank))
+      .forEach(item => {
+        const wall = activeWalls.reduce((best, candidate) =>
+          walls[candidate].width < walls[best].width ? candidate : best
+        );
+        assign(item, wall);
+      });
+
+    // Within a wall, explicit orders come first, the rest keep their seeded order
+    activeWalls.forEach(wall => {
+      walls[wall].items.sort((a, b) => {
+        const aOrder = a.order ?? Infinity;
+        const bOrder = b.order ?? Infinity;
+        return aOrder !== bOrder ? aOrder - bOrder : a.rank - b.rank;
+      });
+      Object.assign(walls[wall], this.packWallRows(walls[wall].items, this.getDoorGap(wall)));
+    });
+
+    debug.log('Painting layout:', Object.fromEntries(activeWalls.map(wall => [
+      wall,
+      walls[wall].rows.map(row => row.items.map(item => item.painting.mesh.userData.title))
+    ])));
+
+    // Replace the original paintings array with the final wall order
+    paintings.splice(0, paintings.length,
+      ...activeWalls.flatMap(wall => walls[wall].items.map(item => item.painting))
+    );
+
+    return {
+      walls,
+      maxHeight: maxHeight
+    };
+  }
+
+  // Split a wall's compositions into rows so no row is much longer than
+  // MAX_WALL_LENGTH, keeping their order. A doorGap keeps the middle of
+  // every row free for a doorway.
+  packWallRows(items, doorGap = 0) {
+    const rowLength = row => row.width + this.PAINTING_GAP * Math.max(0, row.items.length - 1);
+    const totalLength = rowLength({
+      items,
+      width: items.reduce((sum, item) => sum + item.size.width, 0)
+    });
+    const rowCount = Math.min(
+      this.MAX_ROWS,
+      Math.max(1, Math.ceil(totalLength / (this.MAX_WALL_LENGTH - doorGap))),
+      Math.max(1, items.length)
+    );
+    const targetLength = totalLength / rowCount;
+
+    const rows = [{ items: [], width: 0, height: 0 }];
+    items.forEach(item => {
+      let row = rows[rows.length - 1];
+      const nextLength = rowLength(row) + item.size.width + (row.items.length > 0 ? this.PAINTING_GAP : 0);
+      if (row.items.length > 0 && nextLength > targetLength && rows.length < rowCount) {
+        row = { items: [], width: 0, height: 0 };
+        rows.push(row);
+      }
+      row.items.push(item);
+      row.width += item.size.width;
+      row.height = Math.max(row.height, item.size.height);
+    });
+
+    // Either side of a doorway has to fit the larger half of the row
+    const wallLength = row => {
+      if (!doorGap) return rowLength(row);
+      const halves = this.splitRow(row.items).map(half =>
+        half.reduce((sum, item) => sum + item.size.width + this.PAINTING_GAP, 0)
+      );
+      return Math.max(...halves) * 2 + DOOR_WIDTH;
+    };
+
+    return {
+      rows,
+      length: Math.max(...rows.map(wallLength)) + this.WALL_PADDING * 2,
+      stackHeight: rows.reduce((sum, row) => sum + row.height, 0) + this.ROW_GAP * (rows.length - 1)
+    };
+  }
+
+  // Split a row in two halves of about the same width, keeping their order
+  splitRow(items) {
+    const total = items.reduce((sum, item) => sum + item.size.width, 0);
+    let best = 0;
+    let bestDifference = Infinity;
+    let width = 0;
+    for (let i = 0; i <= items.length; i++) {
+      const difference = Math.abs(total - width * 2);
+      if (difference < bestDifference) {
+        best = i;
+        bestDifference = difference;
+      }
+      if (i < items.length) width += items[i].size.width;
+    }
+    return [items.slice(0, best), items.slice(best)];
+  }
+
+  calculateRoomDimensions(totalSpace) {
+    const MIN_ROOM_SIZE = 16; // Minimum room size in meters
+    const walls = Object.entries(totalSpace.walls);
+    const lengthOf = names => Math.max(0, ...walls
+      .filter(([wall]) => names.includes(wall))
+      .map(([, layout]) => layout.length));
+
+    // Side walls set the depth, front and back walls the width
+    const depth = Math.max(MIN_ROOM_SIZE, lengthOf(['left', 'right']));
+    let width = Math.max(MIN_ROOM_SIZE, lengthOf(['front', 'back']));
+    const stackHeight = Math.max(totalSpace.maxHeight, ...walls.map(([, layout]) => layout.stackHeight));
+    const height = Math.max(MIN_ROOM_SIZE / 2, stackHeight + this.WALL_PADDING * 2);
+
+    // Ensure width is at least 4/5 of depth
+    const minWidthFromDepth = depth * (4/5);
+    width = Math.max(width, minWidthFromDepth);
+
+    return {
+      width,
+      height,
+      depth
+    };
+  }
+
+  positionPaintings() {
+    const WALL_OFFSET = 0.01; // 1cm offset from wall to prevent clipping
+    const { width, depth } = this.dimensions;
+
+    this.activeWalls.forEach(wall => {
+      const layout = this.wallLayout[wall];
+      const wallLength = wall === 'left' || wall === 'right' ? depth : width;
+      const rotation = WALL_ROTATIONS[wall];
+      const doorGap = this.getDoorGap(wall);
+
+      // With a doorway each row is spread over the wall on either side of it
+      const segments = doorGap
+        ? [[-wallLength / 2, -doorGap / 2], [doorGap / 2, wallLength / 2]]
+        : [[-wallLength / 2, wallLength / 2]];
+
+      // Rows are stacked from the top and the whole stack is centered vertically
+      let rowTop = layout.stackHeight / 2;
+
+      layout.rows.forEach(row => {
+        const groups = doorGap ? this.splitRow(row.items) : [row.items];
+
+        groups.forEach((items, index) => {
+          const [start, end] = segments[index];
+
+          // Spread the compositions evenly along their stretch of wall
+          const itemsWidth = items.reduce((sum, item) => sum + item.size.width, 0);
+          const spacing = (end - start - itemsWidth) / (items.length + 1);
+          let offset = start + spacing; // Start after first spacing
+
+          items.forEach(({ painting, size }) => {
+            // Along-wall offset u and painting center y; the composition's top
+            // lines up with the top of its row
+            const u = offset + size.width / 2;
+            const y = rowTop - this.paintingManager.getFramedSize(painting.mesh).height / 2;
+
+            // Paintings are laid out along +z on the left wall, -z on the right,
+            // +x on the front and -x on the back, matching PaintingManager
+            let position;
+            switch (wall) {
+              case 'left':
+                position = new THREE.Vector3(-width / 2 + WALL_OFFSET, y, u);
+                break;
+              case 'right':
+                position = new THREE.Vector3(width / 2 - WALL_OFFSET, y, -u);
+                break;
+              case 'front':
+                position = new THREE.Vector3(u, y, -depth / 2 + WALL_OFFSET);
+                break;
+              case 'back':
+                position = new THREE.Vector3(-u, y, depth / 2 - WALL_OFFSET);
+                break;
+            }
+
+            this.paintingManager.positionPainting(painting, position, rotation);
+            offset += size.width + spacing;
+          });
+        });
+
+        rowTop -= row.height + this.ROW_GAP;
+      });
+    });
+  }
+
+  setupRoom() {
+    const halfWidth = this.dimensions.width / 2;
+    const halfHeight = this.dimensions.height / 2;
+    const halfDepth = this.dimensions.depth / 2;
+
+    // Adjust texture repeat based on wall dimensions
+    const getTextureRepeat = (width, height) => new THREE.Vector2(
+      Math.ceil(width / 5), // 5 units per texture repeat
+      Math.ceil(height / 5)
+    );
+
+    // Helper function to create a textured wall, optionally with a doorway
+    // cut out of the middle of its bottom edge
+    const createWall = (surface, width, height, position, rotation, door = false) => {
+      const repeat = getTextureRepeat(width, height);
+
+      let geometry;
+      if (door) {
+        const shape = new THREE.Shape()
+          .moveTo(-width / 2, -height / 2)
+          .lineTo(-DOOR_WIDTH / 2, -height / 2)
+          .lineTo(-DOOR_WIDTH / 2, -height / 2 + DOOR_HEIGHT)
+          .lineTo(DOOR_WIDTH / 2, -height / 2 + DOOR_HEIGHT)
+          .lineTo(DOOR_WIDTH / 2, -height / 2)
+          .lineTo(width / 2, -height / 2)
+          .lineTo(width / 2, height / 2)
+          .lineTo(-width / 2, height / 2)
+          .closePath();
+        geometry = new THREE.ShapeGeometry(shape);
+        // Shape UVs are in meters instead of 0..1, so scale the repeat to match
+        repeat.set(repeat.x / width, repeat.y / height);
+      } else {
+        geometry = new THREE.PlaneGeometry(width, height);
+      }
+      const material = this.createRoomMaterial(surface, repeat, THREE.FrontSide);
+
+      const wall = new THREE.Mesh(geometry, material);
+      wall.receiveShadow = true;
+      wall.position.copy(position);
+      if (rotation) {
+        wall.rotation.copy(rotation);
+      }
+      this.group.add(wall);
+      return wall;
+    };
+
+    // Create walls with different dimensions
+    // Left wall
+    createWall(
+      this.getSurface('left'),
+      this.dimensions.depth,
+      this.dimensions.height, // depth x height
+      new THREE.Vector3(-halfWidth, 0, 0),
+      new THREE.Euler(0, Math.PI / 2, 0),
+      this.doors.left
+    );
+
+    // Right wall
+    createWall(
+      this.getSurface('right'),
+      this.dimensions.depth,
+      this.dimensions.height, // depth x height
+      new THREE.Vector3(halfWidth, 0, 0),
+      new THREE.Euler(0, -Math.PI / 2, 0),
+      this.doors.right
+    );
+
+    // Front wall
+    createWall(
+      this.getSurface('front'),
+      this.dimensions.width,
+      this.dimensions.height, // width x height
+      new THREE.Vector3(0, 0, -halfDepth),
+      new THREE.Euler(0, 0, 0)
+    );
+
+    // Back wall, only when paintings hang on it. It faces into the room, so
+    // the single-sided material hides it from the overview camera outside
+    if (this.activeWalls.includes('back')) {
+      createWall(
+        this.getSurface('back'),
+        this.dimensions.width,
+        this.dimensions.height, // width x height
+        new THREE.Vector3(0, 0, halfDepth),
+        new THREE.Euler(0, Math.PI, 0)
+      );
+    }
+
+    // Floor
+    createWall(
+      this.getSurface('floor'),
+      this.dimensions.width,
+      this.dimensions.depth, // width x depth
+      new THREE.Vector3(0, -halfHeight, 0),
+      new THREE.Euler(-Math.PI / 2, 0, 0)
+    );
+
+    // Ceiling
+    createWall(
+      this.getSurface('ceiling'),
+      this.dimensions.width,
+      this.dimensions.depth, // width x depth
+      new THREE.Vector3(0, halfHeight, 0),
+      new THREE.Euler(Math.PI / 2, 0, 0)
+    );
+
+    // Passages to the neighbouring rooms
+    ['left', 'right'].forEach(side => {
+      if (this.doors[side]) this.createDoorPassage(side);
+    });
+  }
+
+  // Half of the short passage through a doorway: the jambs, the lintel and a
+  // strip of floor. The neighbouring room builds the other half.
+  createDoorPassage(side) {
+    const sign = side === 'left' ? -1 : 1;
+    const length = DOOR_DEPTH / 2;
+    const x = sign * (this.dimensions.width / 2 + length / 2);
+    const floorY = -this.dimensions.height / 2;
+
+    const createSurface = (surface, width, height, position, rotation) => {
+      const material = this.createRoomMaterial(surface, new THREE.Vector2(1, 1), THREE.DoubleSide);
+      const mesh = new THREE.Mesh(new THREE.PlaneGeometry(width, height), material);
+      mesh.receiveShadow = true;
+      mesh.position.copy(position);
+      mesh.rotation.copy(rotation);
+      this.group.add(mesh);
+    };
+
+    // Jambs
+    [-1, 1].forEach(z => createSurface(
+      this.getSurface(side),
+      length,
+      DOOR_HEIGHT,
+      new THREE.Vector3(x, floorY + DOOR_HEIGHT / 2, z * DOOR_WIDTH / 2),
+      new THREE.Euler(0, 0, 0)
+    ));
+
+    // Lintel
+    createSurface(
+      this.getSurface(side),
+      length,
+      DOOR_WIDTH,
+      new THREE.Vector3(x, floorY + DOOR_HEIGHT, 0),
+      new THREE.Euler(Math.PI / 2, 0, 0)
+    );
+
+    // Floor
+    createSurface(
+      this.getSurface('floor'),
+      length,
+      DOOR_WIDTH,
+      new THREE.Vector3(x, floorY, 0),
+      new THREE.Euler(-Math.PI / 2, 0, 0)
+    );
+  }
+
+  // Room textures are an image path or { map, normalMap, roughnessMap, roughness }
+  getSurface(name) {
+    const surface = this.textures[name];
+    return typeof surface === 'string' ? { map: surface } : surface;
+  }
+
+  // Material for a wall, floor or ceiling. Normal and roughness maps are
+  // skipped on 'low' lighting, which has too few lights to bring them out.
+  // Maps are added as they arrive; one that fails leaves the plain surface.
+  createRoomMaterial(surface, repeat, side) {
+    const detailed = this.lightingQuality !== 'low';
+    const material = createSurfaceMaterial(null, {
+      // A roughness map scales the roughness, so it gets the full range
+      roughness: surface.roughness ?? (detailed && surface.roughnessMap ? 1 : 0.9),
+      side
+    });
+    const group = this.group;
+
+    const load = (key, url) => {
+      this.assetLoader.loadTexture(url).then(texture => {
+        if (!texture) return;
+        // The room may have been unloaded in the meantime
+        if (this.group !== group) {
+          texture.dispose();
+          return;
+        }
+        if (key === 'map') texture.colorSpace = THREE.SRGBColorSpace;
+        texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+        texture.repeat.copy(repeat);
+        material[key] = texture;
+        material.needsUpdate = true;
+      });
+    };
+    load('map', surface.map);
+    if (detailed && surface.normalMap) load('normalMap', surface.normalMap);
+    if (detailed && surface.roughnessMap) load('roughnessMap', surface.roughnessMap);
+
+    return material;
+  }
+}
@@ -0,0 +1,496 @@
+import { debug } from './debug.js';
+import EventEmitter from './EventEmitter.js';
+import ImageVariants from './ImageVariants.js';
+import MarkdownText from './MarkdownText.js';
+import { highlight, TOKEN_COLORS } from './SyntaxHighlighter.js';
+
+// Styles are injected once since the gallery is built at runtime
+const STYLE_ID = 'gallery2d-styles';
+const STYLES = `
+.gallery2d {
+  box-sizing: border-box;
+  height: 100%;
+  overflow-y: auto;
+  padding: 2rem 1.5rem 8rem;
+  color: #fff;
+  font: 16px/1.5 Arial, sans-serif;
+  background: #111;
+}
+.gallery2d-room > h2 {
+  max-width: 960px;
+  margin: 0 auto 1.5rem;
+  font-size: 2rem;
+}
+.gallery2d-painting {
+  max-width: 960px;
+  margin: 0 auto 3rem;
+  padding: 1.5rem;
+  border: 2px solid transparent;
+  border-radius: 8px;
+  background: #1b1b1b;
+  transition: border-color 0.2s;
+}
+.gallery2d-painting.focused {
+  border-color: #0077ff;
+}
+.gallery2d-painting h3 {
+  margin: 1rem 0 0.25rem;
+  font-size: 1.5rem;
+}
+.gallery2d-painting h4 {
+  margin: 1.25rem 0 0.5rem;
+}
+.gallery2d-image {
+  display: block;
+  padding: 0;
+  border: none;
+  background: none;
+  cursor: zoom-in;
+}
+.gallery2d-image img {
+  display: block;
+  width: auto;
+  height: auto;
+  max-width: 100%;
+  max-height: 70vh;
+  border-radius: 4px;
+  background-size: cover;
+}
+.gallery2d-image:focus-visible {
+  outline: 2px solid #0077ff;
+  outline-offset: 2px;
+}
+.gallery2d-thumbs {
+  display: flex;
+  flex-wrap: wrap;
+  gap: 0.5rem;
+  margin-top: 0.5rem;
+}
+.gallery2d-thumbs img {
+  max-height: 96px;
+}
+.gallery2d-sub img,
+.gallery2d-sub video {
+  max-width: 100%;
+  border-radius: 4px;
+}
+.gallery2d-sub a {
+  display: inline-flex;
+  align-items: center;
+  gap: 0.5rem;
+  color: #0077ff;
+}
+.gallery2d-sub a img {
+  width: 1.5em;
+  height: 1.5em;
+  object-fit: cover;
+}
+.gallery2d-sub code {
+  padding: 0 0.2em;
+  border-radius: 3px;
+  background: rgba(255, 255, 255, 0.15);
+}
+.gallery2d-sub pre {
+  overflow-x: auto;
+  padding: 1rem;
+  border-radius: 4px;
+  background: #1e1e1e;
+}
+.gallery2d-sub pre code {
+  padding: 0;
+  background: none;
+}
+.gallery2d-code-language {
+  display: block;
+  margin-bottom: 0.5rem;
+  color: #9d9d9d;
+  font-size: 0.75rem;
+  text-transform: uppercase;
+}
+.gallery2d-carousel {
+  display: flex;
+  gap: 0.5rem;
+  overflow-x: auto;
+  scroll-snap-type: x mandatory;
+}
+.gallery2d-carousel img {
+  max-height: 320px;
+  scroll-snap-align: start;
+}
+`;
+
+// The events of Room3D that a flat page has; listeners get the same details.
+// walk-mode-change and quality-change never fire here, but are accepted so
+// a listener can subscribe to either view alike.
+/**
+ * @typedef {Pick<import('./Room3D.js').Room3DEvents,
+ *   'ready' | 'focus-start' | 'focus-end' | 'reset' | 'painting-click' | 'sub-content-click' | 'hover'
+ *   | 'room-change' | 'walk-mode-change' | 'quality-change'>} Gallery2DEvents
+ */
+
+/** @type {(keyof Gallery2DEvents)[]} */
+export const GALLERY2D_EVENTS = [
+  'ready',
+  'focus-start',
+  'focus-end',
+  'reset',
+  'painting-click',
+  'sub-content-click',
+  'hover',
+  'room-change',
+  'walk-mode-change',
+  'quality-change'
+];
+
+// Displayed image widths for srcset, matching the styles above
+const MAIN_IMAGE_SIZES = '(max-width: 1008px) calc(100vw - 6rem), 912px';
+const THUMB_SIZES = '180px';
+
+// Flat HTML gallery with the same navigation API as Room3D, used when WebGL
+// is unavailable, the visitor prefers reduced motion, or picks it manually
+/** @extends {EventEmitter<Gallery2DEvents>} */
+export default class Gallery2D extends EventEmitter {
+  // onReady and options.onRoomChange are shorthands for on('ready') and
+  // on('room-change'), as in Room3D
+  constructor(container, paintings, onReady, options = {}) {
+    super(GALLERY2D_EVENTS);
+    if (onReady) this.on('ready', () => onReady());
+    if (options.onRoomChange) this.on('room-change', ({ slug }) => options.onRoomChange(slug));
+    this.container = container;
+    this.paintings = paintings;
+    this.rooms = options.rooms && options.rooms.length > 0
+      ? options.rooms
+      : [{ slug: 'main', title: 'Gallery' }];
+    this.activeRoomSlug = this.rooms[0].slug;
+    this.removePaintingClickHandler = null; // Set by setOnPaintingClick
+    this.currentFocus = null;
+    this.isReady = false;
+    this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    this.markdownText = new MarkdownText();
+    this.imageVariants = new ImageVariants(options.imageVariants);
+
+    this.injectStyles();
+
+    this.root = document.createElement('div');
+    this.root.className = 'gallery2d';
+    this.articles = [];
+    this.sections = [];
+    container.appendChild(this.root);
+    this.isDestroyed = false;
+    this.readyFrame = null;
+
+    // The paintings are only built once the avif check has settled, so their
+    // srcset names the format the browser will actually load
+    this.imageVariants.ready.then(() => {
+      if (this.isDestroyed) return;
+      this.articles = paintings.map((painting, index) => this.createPainting(painting, index));
+      this.sections = this.rooms.map(room => this.createRoom(room));
+      this.root.append(...this.sections);
+
+      // Report readiness after the first layout, like Room3D after its first frame
+      this.readyFrame = requestAnimationFrame(() => {
+        this.readyFrame = null;
+        this.isReady = true;
+        this.emit('ready');
+      });
+    });
+  }
+
+  injectStyles() {
+    if (document.getElementById(STYLE_ID)) return;
+    const style = document.createElement('style');
+    style.id = STYLE_ID;
+    style.textContent = STYLES;
+    document.head.appendChild(style);
+  }
+
+  // Rooms become sections, in the same order as the doorways connect them
+  createRoom(room) {
+    const section = document.createElement('section');
+    section.className = 'gallery2d-room';
+    section.id = `room-${room.slug}`;
+
+    if (this.rooms.length > 1) {
+      const heading = document.createElement('h2');
+      heading.textContent = room.title;
+      section.appendChild(heading);
+    }
+
+    this.paintings.forEach((painting, id) => {
+      if (this.getRoomSlug(id) === room.slug) section.appendChild(this.articles[id]);
+    });
+    return section;
+  }
+
+  // Paintings without a known room belong to the first one, as in Room3D
+  getRoomSlug(paintingId) {
+    const slug = this.paintings[paintingId].room;
+    return this.rooms.some(room => room.slug === slug) ? slug : this.rooms[0].slug;
+  }
+
+  setActiveRoom(slug) {
+    if (slug === this.activeRoomSlug) return;
+    this.activeRoomSlug = slug;
+    this.emit('room-change', { slug });
+  }
+
+  createPainting(painting, id) {
+    const article = document.createElement('article');
+    article.className = 'gallery2d-painting';
+    article.id = `painting-${painting.slug}`;
+    article.dataset.painting = id;
+
+    article.appendChild(this.createImageButton(painting.url, painting.alt || painting.title, id, 0, MAIN_IMAGE_SIZES));
+
+    if (painting.images && painting.images.length > 0) {
+      const thumbs = document.createElement('div');
+      thumbs.className = 'gallery2d-thumbs';
+      painting.images.forEach((image, index) => {
+        const label = image.alt || `${painting.title} (${index + 2}/${painting.images.length + 1})`;
+        thumbs.appendChild(this.createImageButton(image.url, label, id, index + 1, THUMB_SIZES));
+      });
+      article.appendChild(thumbs);
+    }
+
+    const title = document.createElement('h3');
+    title.textContent = painting.title;
+    article.appendChild(title);
+
+    if (painting.description) {
+      const description = document.createElement('p');
+      description.textContent = painting.description;
+      article.appendChild(description);
+    }
+
+    if (painting.sub && painting.sub.length > 0) {
+      const sub = document.createElement('div');
+      sub.className = 'gallery2d-sub';
+      painting.sub.forEach(block => {
+        const element = this.createSubBlock(block);
+        if (element) sub.appendChild(element);
+      });
+      sub.addEventListener('click', event => {
+        const link = event.target.closest('a');
+        if (link) this.emit('sub-content-click', { paintingId: id, url: link.getAttribute('href') });
+      });
+      article.appendChild(sub);
+    }
+
+    // Mirror Room3D's hover events so the nav can stay in sync
+    article.addEventListener('mouseenter', () => this.emit('hover', { paintingId: id }));
+    article.addEventListener('mouseleave', () => this.emit('hover', { paintingId: null }));
+
+    return article;
+  }
+
+  createImageButton(url, label, paintingId, imageIndex, sizes) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'gallery2d-image';
+    button.setAttribute('aria-label', label);
+
+    const img = document.createElement('img');
+    img.src = url;
+    img.alt = label;
+    img.loading = 'lazy';
+
+    // Pick a variant for the displayed size, with the blurred placeholder
+    // behind it while it loads
+    const srcset = this.imageVariants.getSrcset(url);
+    if (srcset) {
+      const { width, height } = this.imageVariants.getSize(url);
+      img.srcset = srcset;
+      img.sizes = sizes;
+      img.width = width;
+      img.height = height;
+      img.style.backgroundImage = `url("${this.imageVariants.getPlaceholder(url)}")`;
+      img.addEventListener('load', () => img.style.removeProperty('background-image'), { once: true });
+    }
+    button.appendChild(img);
+
+    button.addEventListener('click', () => {
+      this.emit('painting-click', { paintingId, imageIndex: imageIndex || null });
+    });
+    return button;
+  }
+
+  createSubBlock(block) {
+    switch (block.type) {
+      case 'title': {
+        const heading = document.createElement('h4');
+        heading.textContent = block.text;
+        return heading;
+      }
+      case 'text': {
+        const text = document.createElement('div');
+        text.appendChild(this.markdownText.toFragment(block.text));
+        return text;
+      }
+      case 'image': {
+        const img = document.createElement('img');
+        img.src = block.image;
+        img.alt = '';
+        img.loading = 'lazy';
+        return img;
+      }
+      case 'link':
+        return this.createLink(block);
+      case 'code':
+        return this.createCode(block);
+      case 'list': {
+        const list = document.createElement(block.ordered ? 'ol' : 'ul');
+        block.items.forEach(item => {
+          const listItem = document.createElement('li');
+          listItem.appendChild(this.markdownText.runsToFragment(this.markdownText.parseInline(item)));
+          list.appendChild(listItem);
+        });
+        return list;
+      }
+      case 'video': {
+        // No autoplay here; visitors start playback themselves
+        const video = document.createElement('video');
+        video.src = block.video;
+        video.muted = true;
+        video.loop = true;
+        video.playsInline = true;
+        video.controls = true;
+        video.preload = 'metadata';
+        if (block.poster) video.poster = block.poster;
+        return video;
+      }
+      case 'carousel': {
+        // Shown as a scrollable strip instead of cycling automatically
+        const carousel = document.createElement('div');
+        carousel.className = 'gallery2d-carousel';
+        block.images.forEach(url => {
+          const img = document.createElement('img');
+          img.src = url;
+          img.alt = '';
+          img.loading = 'lazy';
+          carousel.appendChild(img);
+        });
+        return carousel;
+      }
+      default:
+        debug.warn('Gallery2D: Unknown sub-content block type:', block.type);
+        return null;
+    }
+  }
+
+  createLink(block) {
+    const paragraph = document.createElement('p');
+    const link = document.createElement('a');
+    link.href = block.url;
+
+    // Same rule as Room3D.openLink: external links open in a new tab
+    if (new URL(block.url, window.location.href).origin !== window.location.origin) {
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+    }
+
+    if (block.icon) {
+      const icon = document.createElement('img');
+      icon.src = block.icon;
+      icon.alt = '';
+      link.appendChild(icon);
+    }
+    link.appendChild(document.createTextNode(block.text));
+    paragraph.appendChild(link);
+    return paragraph;
+  }
+
+  createCode(block) {
+    const pre = document.createElement('pre');
+    if (block.language) {
+      const language = document.createElement('span');
+      language.className = 'gallery2d-code-language';
+      language.textContent = block.language;
+      pre.appendChild(language);
+    }
+
+    const code = document.createElement('code');
+    highlight(block.code.replace(/\s+$/, ''), block.language).forEach((line, index) => {
+      if (index > 0) code.appendChild(document.createTextNode('\n'));
+      line.forEach(token => {
+        const span = document.createElement('span');
+        span.style.color = TOKEN_COLORS[token.type];
+        span.textContent = token.text;
+        code.appendChild(span);
+      });
+    });
+    pre.appendChild(code);
+    return pre;
+  }
+
+  // Scrolling needs no waiting, so the promises resolve right away like an
+  // arrived camera move in Room3D
+  focusOnPainting(id) {
+    const article = this.articles[id];
+    if (!article) {
+      debug.warn('Gallery2D: No painting found with id:', id);
+      return Promise.resolve(false);
+    }
+    this.emit('focus-start', { paintingId: id });
+
+    if (this.currentFocus !== null) {
+      this.articles[this.currentFocus].classList.remove('focused');
+    }
+    this.currentFocus = id;
+    this.setActiveRoom(this.getRoomSlug(id));
+    article.classList.add('focused');
+    article.scrollIntoView({ behavior: this.reducedMotion ? 'auto' : 'smooth', block: 'start' });
+    this.emit('focus-end', { paintingId: id, completed: true });
+    return Promise.resolve(true);
+  }
+
+  resetCamera() {
+    if (this.currentFocus !== null) {
+      this.articles[this.currentFocus].classList.remove('focused');
+    }
+    this.currentFocus = null;
+    this.emit('reset');
+
+    // Back to the top of the current room
+    const index = this.rooms.findIndex(room => room.slug === this.activeRoomSlug);
+    if (index === 0) {
+      this.root.scrollTo({ top: 0, behavior: this.reducedMotion ? 'auto' : 'smooth' });
+    } else {
+      this.sections[index]?.scrollIntoView({ behavior: this.reducedMotion ? 'auto' : 'smooth', block: 'start' });
+    }
+    return Promise.resolve(true);
+  }
+
+  showRoom(slug) {
+    if (!this.rooms.some(room => room.slug === slug)) {
+      debug.warn('Gallery2D: No room found with slug:', slug);
+      return;
+    }
+    this.setActiveRoom(slug);
+    this.resetCamera();
+  }
+
+  // Keyboard selection is handled natively by the buttons in this view
+  setSelectedPainting() {}
+
+  getPaintingCount() {
+    return this.paintings.length;
+  }
+
+  /**
+   * Single click handler, (paintingId, imageIndex), replacing the previous one
+   * @deprecated Subscribe with on('painting-click') instead
+   */
+  setOnPaintingClick(handler) {
+    if (this.removePaintingClickHandler) this.removePaintingClickHandler();
+    this.removePaintingClickHandler = handler
+      ? this.on('painting-click', ({ paintingId, imageIndex }) => handler(paintingId, imageIndex ?? undefined))
+      : null;
+  }
+
+  destroy() {
+    this.isDestroyed = true;
+    if (this.readyFrame !== null) cancelAnimationFrame(this.readyFrame);
+    this.root.remove();
+    this.removeAllListeners();
+  }
+}
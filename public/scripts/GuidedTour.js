@@ -0,0 +1,102 @@
+// Input that hands control back to the visitor
+const INPUT_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+// Kiosk-style tour through a list of stops ({ painting, caption, duration,
+// showImages }). The host page does the actual focusing and image showing
+// through the callbacks, so the tour works with Room3D and Gallery2D alike.
+// Any input pauses the tour; after idleDelay ms without input it resumes at
+// the stop it was on. The tour loops until stop() is called.
+export default class GuidedTour {
+  constructor(stops, options = {}) {
+    this.stops = stops;
+    this.focus = options.focus; // (stop) => Promise, resolves on arrival
+    this.showImage = options.showImage || null; // (stop, imageIndex) => boolean
+    this.hideImages = options.hideImages || null;
+    this.onStop = options.onStop || null; // (stop, index)
+    this.onPauseChange = options.onPauseChange || null; // (paused)
+
+    this.stopDuration = options.stopDuration ?? 8000; // ms per stop without a duration
+    this.imageDuration = options.imageDuration ?? 4000; // ms per additional image
+    this.idleDelay = options.idleDelay ?? 30000;
+
+    this.index = 0;
+    this.isRunning = false;
+    this.isPaused = false;
+    this.runId = 0; // Bumped to abandon a stop that is still in progress
+    this.timer = null;
+    this.idleTimer = null;
+
+    this.handleInput = this.handleInput.bind(this);
+  }
+
+  start() {
+    if (this.isRunning || this.stops.length === 0) return;
+    this.isRunning = true;
+    INPUT_EVENTS.forEach(type => window.addEventListener(type, this.handleInput, { capture: true, passive: true }));
+    this.playStop();
+  }
+
+  stop() {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+    this.isPaused = false;
+    this.runId++;
+    clearTimeout(this.timer);
+    clearTimeout(this.idleTimer);
+    INPUT_EVENTS.forEach(type => window.removeEventListener(type, this.handleInput, { capture: true }));
+  }
+
+  pause() {
+    if (!this.isRunning || this.isPaused) return;
+    this.isPaused = true;
+    this.runId++;
+    clearTimeout(this.timer);
+    if (this.onPauseChange) this.onPauseChange(true);
+  }
+
+  // Pick the current stop up again from the start
+  resume() {
+    if (!this.isRunning || !this.isPaused) return;
+    this.isPaused = false;
+    clearTimeout(this.idleTimer);
+    if (this.onPauseChange) this.onPauseChange(false);
+    this.playStop();
+  }
+
+  // Every input pauses and restarts the idle countdown
+  handleInput() {
+    this.pause();
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => this.resume(), this.idleDelay);
+  }
+
+  async playStop() {
+    const runId = ++this.runId;
+    const stop = this.stops[this.index];
+    if (this.hideImages) this.hideImages();
+    if (this.onStop) this.onStop(stop, this.index);
+
+    await this.focus(stop);
+    if (runId !== this.runId) return;
+    await this.wait(stop.duration ? stop.duration * 1000 : this.stopDuration);
+    if (runId !== this.runId) return;
+
+    // The additional images follow one after another; showImage returns
+    // false once there are no more
+    if (stop.showImages && this.showImage) {
+      for (let imageIndex = 0; this.showImage(stop, imageIndex); imageIndex++) {
+        await this.wait(this.imageDuration);
+        if (runId !== this.runId) return;
+      }
+    }
+
+    this.index = (this.index + 1) % this.stops.length;
+    this.playStop();
+  }
+
+  wait(ms) {
+    return new Promise(resolve => {
+      this.timer = setTimeout(resolve, ms);
+    });
+  }
+}
@@ -0,0 +1,64 @@
+// 1x1 avif used to find out whether the browser decodes avif
+const AVIF_PROBE = 'data:image/avif;base64,AAAAHGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZgAAAOptZXRhAAAAAAAAACFoZGxyAAAAAAAAAABwaWN0AAAAAAAAAAAAAAAAAAAAAA5waXRtAAAAAAABAAAAImlsb2MAAAAAREAAAQABAAAAAAEOAAEAAAAAAAAAFwAAACNpaW5mAAAAAAABAAAAFWluZmUCAAAAAAEAAGF2MDEAAAAAamlwcnAAAABLaXBjbwAAABNjb2xybmNseAABAA0ABoAAAAAMYXYxQ4EgAgAAAAAUaXNwZQAAAAAAAAABAAAAAQAAABBwaXhpAAAAAAMICAgAAAAXaXBtYQAAAAAAAAABAAEEAYIDBAAAAB9tZGF0EgAKBzgABhAQ0GkyChgAAABAALASmpg=';
+
+let avifSupport = null;
+
+function supportsAvif() {
+  avifSupport ??= new Promise(resolve => {
+    const image = new Image();
+    image.onload = () => resolve(image.width > 0);
+    image.onerror = () => resolve(false);
+    image.src = AVIF_PROBE;
+  });
+  return avifSupport;
+}
+
+// The build-time variants of the site's images (see
+// src/integrations/imageVariants.ts), keyed by the original URL. Picks the
+// smallest variant that covers a given on-screen width, in avif where the
+// browser supports it and webp otherwise. Images without variants only
+// have their original.
+export default class ImageVariants {
+  constructor(manifest = {}) {
+    this.manifest = manifest;
+    this.format = 'webp';
+    this.ready = supportsAvif().then(supported => {
+      if (supported) this.format = 'avif';
+    });
+  }
+
+  has(url) {
+    return Boolean(this.manifest[url]);
+  }
+
+  // Size of the original image, or null without variants
+  getSize(url) {
+    const entry = this.manifest[url];
+    return entry ? { width: entry.width, height: entry.height } : null;
+  }
+
+  getPlaceholder(url) {
+    return this.manifest[url]?.placeholder || null;
+  }
+
+  // Smallest variant at least `width` pixels wide, or the largest one when
+  // none is; the full image is left to explicit requests
+  pick(url, width) {
+    const entry = this.manifest[url];
+    if (!entry) return null;
+    const variants = entry.variants.filter(variant => variant.format === this.format);
+    if (variants.length === 0) return null;
+    return variants.find(variant => variant.width >= width) || variants[variants.length - 1];
+  }
+
+  // srcset of the variants for <img> elements; the full image stays out of
+  // it so only the lightbox loads it
+  getSrcset(url) {
+    const entry = this.manifest[url];
+    if (!entry) return '';
+    return entry.variants
+      .filter(variant => variant.format === this.format)
+      .map(variant => `${variant.url} ${variant.width}w`)
+      .join(', ');
+  }
+}
@@ -0,0 +1,337 @@
+// Minimal markdown subset for sub-content text blocks:
+// paragraphs, **bold**, *italic*, `inline code`, bullet lists (-, * or +),
+// numbered lists (1. or 1)) and explicit line breaks (two trailing spaces or
+// a trailing backslash).
+
+const BULLET_PATTERN = /^\s*[-*+]\s+/;
+const ORDERED_PATTERN = /^\s*(\d+)[.)]\s+/;
+const HARD_BREAK_PATTERN = /( {2,}|\\)$/;
+
+export default class MarkdownText {
+  constructor(options = {}) {
+    this.fontSize = options.fontSize || 24;
+    this.lineHeight = options.lineHeight || 36;
+    this.paragraphSpacing = options.paragraphSpacing || 16;
+    this.listIndent = options.listIndent || 36;
+    this.padding = options.padding || 10;
+    this.fontFamily = options.fontFamily || 'Arial';
+    this.codeFontFamily = options.codeFontFamily || 'monospace';
+    this.color = options.color || '#ffffff';
+    this.codeBackground = options.codeBackground || 'rgba(255, 255, 255, 0.15)';
+
+    // Scratch context used for measuring before the real canvas exists
+    this.measureContext = document.createElement('canvas').getContext('2d');
+  }
+
+  // Split the source into paragraph and list blocks of inline runs
+  parse(text) {
+    const blocks = [];
+    let paragraph = null;
+    let list = null;
+
+    const closeBlocks = () => {
+      paragraph = null;
+      list = null;
+    };
+
+    for (const rawLine of text.replace(/\r\n?/g, '\n').split('\n')) {
+      if (rawLine.trim() === '') {
+        closeBlocks();
+        continue;
+      }
+
+      const orderedMatch = rawLine.match(ORDERED_PATTERN);
+      if (orderedMatch || BULLET_PATTERN.test(rawLine)) {
+        const ordered = Boolean(orderedMatch);
+        paragraph = null;
+        if (!list || list.ordered !== ordered) {
+          list = { type: 'list', ordered, items: [] };
+          blocks.push(list);
+        }
+        list.items.push({
+          // Numbering follows the first item, like markdown renderers do
+          number: ordered ? (list.items.length === 0 ? parseInt(orderedMatch[1], 10) : list.items[0].number + list.items.length) : null,
+          lines: [this.parseLine(rawLine.replace(ordered ? ORDERED_PATTERN : BULLET_PATTERN, ''))]
+        });
+        continue;
+      }
+
+      // Indented continuation of the previous list item
+      if (list && /^\s+/.test(rawLine)) {
+        list.items[list.items.length - 1].lines.push(this.parseLine(rawLine));
+        continue;
+      }
+
+      list = null;
+      if (!paragraph) {
+        paragraph = { type: 'paragraph', lines: [] };
+        blocks.push(paragraph);
+      }
+      paragraph.lines.push(this.parseLine(rawLine));
+    }
+
+    return blocks;
+  }
+
+  // A source line becomes a list of runs plus whether it ends in a hard break
+  parseLine(line) {
+    const hardBreak = HARD_BREAK_PATTERN.test(line);
+    const content = line.replace(HARD_BREAK_PATTERN, '').trim();
+    return { runs: this.parseInline(content), hardBreak };
+  }
+
+  parseInline(text) {
+    const runs = [];
+    const style = { bold: false, italic: false, code: false };
+    let buffer = '';
+
+    const flush = () => {
+      if (buffer) {
+        runs.push({ text: buffer, ...style });
+        buffer = '';
+      }
+    };
+
+    // Only treat a marker as opening if it is closed later on the line
+    const toggle = (key, marker, index) => {
+      if (!style[key] && text.indexOf(marker, index + marker.length) === -1) return false;
+      flush();
+      style[key] = !style[key];
+      return true;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (style.code) {
+        if (char === '`') {
+          toggle('code', '`', i);
+        } else {
+          buffer += char;
+        }
+        continue;
+      }
+
+      if (char === '\\' && i + 1 < text.length) {
+        buffer += text[++i];
+        continue;
+      }
+
+      if (char === '`' && toggle('code', '`', i)) continue;
+
+      const double = text.substr(i, 2);
+      if ((double === '**' || double === '__') && toggle('bold', double, i)) {
+        i++;
+        continue;
+      }
+
+      if ((char === '*' || char === '_') && toggle('italic', char, i)) continue;
+
+      buffer += char;
+    }
+    flush();
+
+    return runs;
+  }
+
+  getFont(run) {
+    if (run.code) {
+      return `${Math.round(this.fontSize * 0.9)}px ${this.codeFontFamily}`;
+    }
+    return `${run.italic ? 'italic ' : ''}${run.bold ? 'bold ' : ''}${this.fontSize}px ${this.fontFamily}`;
+  }
+
+  // Word-wrap one paragraph or list item into positioned lines
+  wrapLines(sourceLines, maxWidth) {
+    const ctx = this.measureContext;
+    const lines = [];
+    let current = [];
+    let currentWidth = 0;
+    let pendingSpace = null;
+
+    const breakLine = () => {
+      lines.push(current);
+      current = [];
+      currentWidth = 0;
+      pendingSpace = null;
+    };
+
+    sourceLines.forEach((sourceLine, lineIndex) => {
+      sourceLine.runs.forEach(run => {
+        ctx.font = this.getFont(run);
+
+        // Keep whitespace as separate tokens so spacing follows the run's font
+        run.text.split(/(\s+)/).forEach(token => {
+          if (!token) return;
+
+          if (/^\s+$/.test(token)) {
+            if (current.length > 0) {
+              pendingSpace = { run, width: ctx.measureText(' ').width };
+            }
+            return;
+          }
+
+          const width = ctx.measureText(token).width;
+          const spaceWidth = pendingSpace ? pendingSpace.width : 0;
+
+          if (current.length > 0 && currentWidth + spaceWidth + width > maxWidth) {
+            breakLine();
+          } else if (pendingSpace) {
+            current.push({ ...pendingSpace.run, text: ' ', x: currentWidth, width: spaceWidth });
+            currentWidth += spaceWidth;
+          }
+          pendingSpace = null;
+
+          current.push({ ...run, text: token, x: currentWidth, width });
+          currentWidth += width;
+        });
+      });
+
+      const isLast = lineIndex === sourceLines.length - 1;
+      if (sourceLine.hardBreak && !isLast) {
+        breakLine();
+      } else if (!isLast && current.length > 0) {
+        // Soft line breaks in the source are just spaces
+        ctx.font = this.getFont({});
+        pendingSpace = { run: {}, width: ctx.measureText(' ').width };
+      }
+    });
+
+    if (current.length > 0 || lines.length === 0) {
+      lines.push(current);
+    }
+    return lines;
+  }
+
+  // Measure the full layout for a given canvas width
+  layout(text, width) {
+    const contentWidth = width - this.padding * 2;
+    const items = [];
+    let y = this.padding;
+
+    this.parse(text).forEach((block, blockIndex) => {
+      if (blockIndex > 0) y += this.paragraphSpacing;
+
+      if (block.type === 'paragraph') {
+        const lines = this.wrapLines(block.lines, contentWidth);
+        lines.forEach(fragments => {
+          items.push({ fragments, x: this.padding, y });
+          y += this.lineHeight;
+        });
+      } else {
+        block.items.forEach(item => {
+          const lines = this.wrapLines(item.lines, contentWidth - this.listIndent);
+          lines.forEach((fragments, lineIndex) => {
+            items.push({
+              fragments,
+              x: this.padding + this.listIndent,
+              y,
+              marker: lineIndex === 0 ? (block.ordered ? `${item.number}.` : 'bullet') : null
+            });
+            y += this.lineHeight;
+          });
+        });
+      }
+    });
+
+    return { items, height: Math.ceil(y + this.padding) };
+  }
+
+  // Draw a layout produced by layout() onto a 2D context
+  draw(ctx, layout) {
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+
+    layout.items.forEach(line => {
+      const centerY = line.y + this.lineHeight / 2;
+
+      if (line.marker === 'bullet') {
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.arc(line.x - this.listIndent / 2, centerY, this.fontSize / 6, 0, Math.PI * 2);
+        ctx.fill();
+      } else if (line.marker) {
+        ctx.font = this.getFont({});
+        ctx.fillStyle = this.color;
+        ctx.textAlign = 'right';
+        ctx.fillText(line.marker, line.x - 6, centerY);
+        ctx.textAlign = 'left';
+      }
+
+      line.fragments.forEach(fragment => {
+        const x = line.x + fragment.x;
+
+        if (fragment.code) {
+          ctx.fillStyle = this.codeBackground;
+          ctx.fillRect(x - 2, centerY - this.fontSize / 2 - 2, fragment.width + 4, this.fontSize + 4);
+        }
+
+        ctx.font = this.getFont(fragment);
+        ctx.fillStyle = this.color;
+        ctx.fillText(fragment.text, x, centerY);
+      });
+    });
+  }
+
+  // Build DOM nodes for the same markdown subset (used by the 2D gallery)
+  toFragment(text) {
+    const fragment = document.createDocumentFragment();
+
+    const appendLines = (parent, lines) => {
+      lines.forEach((line, index) => {
+        if (index > 0) {
+          // Hard breaks end the previous line, soft breaks are just spaces
+          parent.appendChild(lines[index - 1].hardBreak
+            ? document.createElement('br')
+            : document.createTextNode(' '));
+        }
+        parent.appendChild(this.runsToFragment(line.runs));
+      });
+    };
+
+    this.parse(text).forEach(block => {
+      if (block.type === 'paragraph') {
+        const paragraph = document.createElement('p');
+        appendLines(paragraph, block.lines);
+        fragment.appendChild(paragraph);
+      } else {
+        const list = document.createElement(block.ordered ? 'ol' : 'ul');
+        if (block.ordered && block.items[0].number !== 1) {
+          list.start = block.items[0].number;
+        }
+        block.items.forEach(item => {
+          const listItem = document.createElement('li');
+          appendLines(listItem, item.lines);
+          list.appendChild(listItem);
+        });
+        fragment.appendChild(list);
+      }
+    });
+
+    return fragment;
+  }
+
+  runsToFragment(runs) {
+    const fragment = document.createDocumentFragment();
+    runs.forEach(run => {
+      let node = document.createTextNode(run.text);
+      if (run.code) {
+        const code = document.createElement('code');
+        code.appendChild(node);
+        node = code;
+      }
+      if (run.italic) {
+        const em = document.createElement('em');
+        em.appendChild(node);
+        node = em;
+      }
+      if (run.bold) {
+        const strong = document.createElement('strong');
+        strong.appendChild(node);
+        node = strong;
+      }
+      fragment.appendChild(node);
+    });
+    return fragment;
+  }
+}
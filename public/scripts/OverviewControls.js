@@ -0,0 +1,147 @@
+// Manual camera input for the overview: drag with the mouse or one finger to
+// look around, wheel or pinch to move in and out. Only the offsets from the
+// overview pose live here; Room3D clamps them and turns them into a camera pose.
+export default class OverviewControls {
+  constructor(domElement, options = {}) {
+    this.domElement = domElement;
+    this.canControl = options.canControl || (() => true);
+    this.clamp = options.clamp || (view => view);
+    this.onChange = options.onChange || null;
+
+    this.LOOK_SENSITIVITY = 0.003; // radians per pixel dragged
+    this.WHEEL_SENSITIVITY = 0.01; // meters per wheel pixel
+    this.PINCH_SENSITIVITY = 0.03; // meters per pixel the fingers spread
+    this.DRAG_THRESHOLD = 5; // pixels before a press counts as a drag
+
+    // Offsets from the overview pose: turn left/right, up/down and move in
+    this.yaw = 0;
+    this.pitch = 0;
+    this.dolly = 0;
+
+    this.pointers = new Map(); // pointerId -> { x, y }
+    this.pinchDistance = null;
+    this.dragDistance = 0;
+    this.suppressClick = false;
+
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleWheel = this.handleWheel.bind(this);
+    domElement.addEventListener('pointerdown', this.handlePointerDown);
+    domElement.addEventListener('pointermove', this.handlePointerMove);
+    domElement.addEventListener('pointerup', this.handlePointerUp);
+    domElement.addEventListener('pointercancel', this.handlePointerUp);
+    domElement.addEventListener('wheel', this.handleWheel, { passive: false });
+  }
+
+  // Back to the plain overview, e.g. when a focus or reset animation takes over
+  reset() {
+    this.yaw = 0;
+    this.pitch = 0;
+    this.dolly = 0;
+    this.pointers.clear();
+    this.pinchDistance = null;
+  }
+
+  isActive() {
+    return this.yaw !== 0 || this.pitch !== 0 || this.dolly !== 0;
+  }
+
+  apply(yaw, pitch, dolly) {
+    const view = this.clamp({ yaw, pitch, dolly });
+    this.yaw = view.yaw;
+    this.pitch = view.pitch;
+    this.dolly = view.dolly;
+    if (this.onChange) this.onChange();
+  }
+
+  // A drag ends with a click event; Room3D asks here whether to ignore it
+  consumeClick() {
+    const suppress = this.suppressClick;
+    this.suppressClick = false;
+    return suppress;
+  }
+
+  handlePointerDown(e) {
+    if (this.pointers.size === 0) {
+      this.dragDistance = 0;
+      this.suppressClick = false;
+    }
+    if (!this.canControl() || (e.pointerType === 'mouse' && e.button !== 0)) return;
+
+    // Keep receiving the drag when it leaves the canvas
+    this.domElement.setPointerCapture(e.pointerId);
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (this.pointers.size === 2) {
+      this.pinchDistance = this.getPinchDistance();
+    }
+  }
+
+  handlePointerMove(e) {
+    const pointer = this.pointers.get(e.pointerId);
+    if (!pointer) return;
+    if (!this.canControl()) {
+      this.reset();
+      return;
+    }
+
+    const dx = e.clientX - pointer.x;
+    const dy = e.clientY - pointer.y;
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+
+    if (this.pointers.size === 2) {
+      // Spreading two fingers moves into the room
+      const distance = this.getPinchDistance();
+      this.apply(this.yaw, this.pitch, this.dolly + (distance - this.pinchDistance) * this.PINCH_SENSITIVITY);
+      this.pinchDistance = distance;
+      this.dragDistance = Infinity;
+      return;
+    }
+
+    this.dragDistance += Math.abs(dx) + Math.abs(dy);
+    if (this.dragDistance < this.DRAG_THRESHOLD) return;
+
+    // Dragging grabs the scene: moving right turns the view left
+    this.apply(
+      this.yaw + dx * this.LOOK_SENSITIVITY,
+      this.pitch + dy * this.LOOK_SENSITIVITY,
+      this.dolly
+    );
+  }
+
+  handlePointerUp(e) {
+    if (!this.pointers.delete(e.pointerId)) return;
+    if (this.pointers.size < 2) {
+      this.pinchDistance = null;
+    }
+    if (this.pointers.size === 0 && this.dragDistance >= this.DRAG_THRESHOLD) {
+      this.suppressClick = true;
+    }
+  }
+
+  handleWheel(e) {
+    if (!this.canControl()) return;
+
+    // Line-based wheels report lines instead of pixels
+    const deltaY = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+    const dolly = this.dolly;
+    this.apply(this.yaw, this.pitch, this.dolly - deltaY * this.WHEEL_SENSITIVITY);
+
+    // At the end of its range the wheel scrolls the page instead
+    if (this.dolly !== dolly) e.preventDefault();
+  }
+
+  getPinchDistance() {
+    const [a, b] = [...this.pointers.values()];
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  }
+
+  destroy() {
+    this.domElement.removeEventListener('pointerdown', this.handlePointerDown);
+    this.domElement.removeEventListener('pointermove', this.handlePointerMove);
+    this.domElement.removeEventListener('pointerup', this.handlePointerUp);
+    this.domElement.removeEventListener('pointercancel', this.handlePointerUp);
+    this.domElement.removeEventListener('wheel', this.handleWheel);
+  }
+}
@@ -1,29 +1,39 @@
 import * as THREE from 'https://unpkg.com/three@0.176.0/build/three.module.js';
 import { debug } from './debug.js';
+import { ADDITIONAL_IMAGE_FRAME_SCALE, createFrameMeshes, getFrameBorder, resolveFrame } from './frames.js';
+import { createMissingImageTexture, createSurfaceMaterial } from './materials.js';
+import { createPlaque } from './plaques.js';
 import SubContentManager from './SubContentManager.js';
 
 export default class PaintingManager {
-  constructor(scene, roomDimensions, maxPaintingSize) {
+  constructor(scene, assetLoader, imageVariants = null, requestRender = () => {}) {
     this.scene = scene;
-    this.roomDimensions = roomDimensions;
-    this.maxPaintingSize = maxPaintingSize;
+    this.assetLoader = assetLoader;
+    this.imageVariants = imageVariants;
+    this.requestRender = requestRender; // Sub-content is added after the room is drawn
     this.paintings = [];
     this.usedPositions = [];
-    this.textureLoader = new THREE.TextureLoader();
     this.PADDING = 0.1;  // 10cm padding between elements
     this.PAINTING_PADDING = 0.05; // 5cm padding between painting and additional images
     this.MAX_SIZE = 0.8; // 80cm maximum size for additional images
     this.MIN_SIZE = 0.3; // 30cm minimum size for additional images
+    this.HOVER_LIFT = 0.05; // 5cm lift off the wall when hovered
+    this.HOVER_SCALE = 0.03; // 3% larger when hovered
+    this.HOVER_RATE = 13; // How quickly the lift follows the hover, per second
+    this.PLAQUE_GAP = 0.1; // 10cm between a frame and its plaque
+
+    // Meshes whose hover lift is still animating
+    this.hoverAnimating = new Set();
     
     // Initialize SubContentManager
-    this.subContentManager = new SubContentManager(scene);
+    this.subContentManager = new SubContentManager(scene, assetLoader, requestRender);
   }
 
   loadPainting(paintingData, id) {
     return new Promise((resolve) => {
-      this.textureLoader.load(paintingData.url, (texture) => {
+      this.loadInitialTexture(paintingData.url, (texture, image) => {
         // Calculate aspect ratio and dimensions
-        const aspectRatio = texture.image.width / texture.image.height;
+        const aspectRatio = image.width / image.height;
         let width, height;
         
         if (aspectRatio > 1) {
@@ -37,22 +47,31 @@ export default class PaintingManager {
         }
 
         const geometry = new THREE.PlaneGeometry(width, height);
-        const material = new THREE.MeshBasicMaterial({ 
-          map: texture,
+        const material = createSurfaceMaterial(texture, {
           side: THREE.DoubleSide 
         });
         const mesh = new THREE.Mesh(geometry, material);
+        const frame = resolveFrame(paintingData.frame);
+        if (frame) mesh.add(...createFrameMeshes(width, height, frame));
 
         mesh.userData = { 
           id,
+          image,
           title: paintingData.title || `Painting ${id}`,
           description: paintingData.description || '',
+          wall: paintingData.wall || null,
+          order: paintingData.order ?? null,
           hasAdditionalImages: paintingData.images && Array.isArray(paintingData.images) && paintingData.images.length > 0,
           additionalImagesCount: paintingData.images ? paintingData.images.length : 0,
           isPortrait: aspectRatio <= 1,
           additionalImageMeshes: [],
           hasSubContent: paintingData.sub && Array.isArray(paintingData.sub) && paintingData.sub.length > 0,
-          subContent: paintingData.sub || []
+          subContent: paintingData.sub || [],
+          frame,
+          frameBorder: getFrameBorder(frame),
+          plaque: paintingData.plaque === false
+            ? null
+            : createPlaque(paintingData.title || `Painting ${id}`, paintingData.description || '')
         };
 
         const painting = { id, mesh };
@@ -60,20 +79,29 @@ export default class PaintingManager {
 
         // If there are additional images, load them but don't position them yet
         if (paintingData.images && Array.isArray(paintingData.images) && paintingData.images.length > 0) {
-          const additionalImagesPromises = paintingData.images.map(imgUrl => 
+          const additionalImagesPromises = paintingData.images.map((additionalImage, imgIndex) => 
             new Promise((resolveImage) => {
-              this.textureLoader.load(imgUrl, (imgTexture) => {
-                const imgAspectRatio = imgTexture.image.width / imgTexture.image.height;
+              this.loadInitialTexture(additionalImage.url, (imgTexture, image) => {
+                const imgAspectRatio = image.width / image.height;
                 const imgWidth = this.MAX_SIZE;
                 const imgHeight = imgWidth / imgAspectRatio;
                 
                 const smallGeometry = new THREE.PlaneGeometry(imgWidth, imgHeight);
-                const smallMaterial = new THREE.MeshBasicMaterial({
-                  map: imgTexture,
+                const smallMaterial = createSurfaceMaterial(imgTexture, {
                   side: THREE.DoubleSide
                 });
                 const smallMesh = new THREE.Mesh(smallGeometry, smallMaterial);
-                mesh.userData.additionalImageMeshes.push(smallMesh);
+                if (frame) {
+                  smallMesh.add(...createFrameMeshes(imgWidth, imgHeight, frame, ADDITIONAL_IMAGE_FRAME_SCALE));
+                }
+                smallMesh.userData = {
+                  image,
+                  parentPaintingId: id,
+                  imageIndex: imgIndex + 1, // +1 because main image is at index 0
+                  frameBorder: getFrameBorder(frame, ADDITIONAL_IMAGE_FRAME_SCALE)
+                };
+                // Assign by index, textures may finish loading out of order
+                mesh.userData.additionalImageMeshes[imgIndex] = smallMesh;
                 resolveImage();
               });
             })
@@ -87,12 +115,124 @@ export default class PaintingManager {
     });
   }
 
+  // Images with build-time variants start out as their tiny placeholder and
+  // get sharper textures as they are needed; others load in full right away.
+  // The callback gets the texture and the mesh's image state: the original's
+  // url and size, and the width of the texture it shows.
+  loadInitialTexture(url, onLoad) {
+    const size = this.imageVariants && this.imageVariants.getSize(url);
+    const placeholder = size && this.imageVariants.getPlaceholder(url);
+
+    this.assetLoader.loadTexture(placeholder || url).then((texture) => {
+      if (!texture) {
+        // Hang a "missing image" card the size the image would have had;
+        // an infinite texture width keeps sharper versions from being tried
+        const { width, height } = size || { width: 4, height: 3 };
+        onLoad(createMissingImageTexture(width / height), {
+          url,
+          width,
+          height,
+          textureWidth: Infinity,
+          loadingWidth: 0
+        });
+        return;
+      }
+
+      const { width, height } = size || texture.image;
+      onLoad(texture, {
+        url,
+        width,
+        height,
+        textureWidth: texture.image.width,
+        loadingWidth: 0,
+        isPlaceholder: Boolean(placeholder)
+      });
+    });
+  }
+
+  // Swap in sharper variants for pictures that appear larger on screen than
+  // their texture. Textures only ever get sharper; the full image is left to
+  // loadFullResolution().
+  updateTextureResolution(camera, viewportWidth) {
+    if (!this.imageVariants) return;
+
+    const visibleWidthPerMeter = 2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) * camera.aspect;
+    const position = new THREE.Vector3();
+    this.getInteractiveMeshes().forEach(mesh => {
+      const image = mesh.userData.image;
+      mesh.getWorldPosition(position);
+      const distance = Math.max(position.distanceTo(camera.position), camera.near);
+      const screenWidth = (mesh.geometry.parameters.width * mesh.scale.x * viewportWidth) / (distance * visibleWidthPerMeter);
+
+      const variant = this.imageVariants.pick(image.url, screenWidth);
+      if (variant) this.swapTexture(mesh, variant.url, variant.width);
+    });
+  }
+
+  // Load the original images of a painting and its additional images
+  loadFullResolution(paintingId) {
+    const painting = this.paintings.find(p => p.id === paintingId);
+    if (!painting) return;
+    [painting.mesh, ...painting.mesh.userData.additionalImageMeshes].forEach(mesh => {
+      this.swapTexture(mesh, mesh.userData.image.url, mesh.userData.image.width);
+    });
+  }
+
+  // Replace a mesh's texture with a sharper one once it has loaded, unless
+  // an at least as sharp one is already shown or on its way
+  swapTexture(mesh, url, width) {
+    const image = mesh.userData.image;
+    if (width <= image.textureWidth || width <= image.loadingWidth) return;
+    image.loadingWidth = width;
+
+    this.assetLoader.loadTexture(url).then((texture) => {
+      // A failed load keeps its width as loading, so it isn't tried again.
+      // If only the blurred placeholder was ever shown, the image is missing.
+      if (!texture) {
+        if (image.isPlaceholder && this.scene.parent) {
+          mesh.material.map.dispose();
+          mesh.material.map = createMissingImageTexture(image.width / image.height);
+          mesh.material.needsUpdate = true;
+          image.isPlaceholder = false;
+          image.textureWidth = Infinity;
+        }
+        return;
+      }
+      if (image.loadingWidth === width) image.loadingWidth = 0;
+      // The room may have been unloaded, or a sharper texture arrived first
+      if (!this.scene.parent || width <= image.textureWidth) {
+        texture.dispose();
+        return;
+      }
+      texture.colorSpace = THREE.SRGBColorSpace;
+      mesh.material.map.dispose();
+      mesh.material.map = texture;
+      mesh.material.needsUpdate = true;
+      image.textureWidth = width;
+      image.isPlaceholder = false;
+    });
+  }
+
+  // Unscaled size of a painting or additional image including its frame
+  getFramedSize(mesh) {
+    const { width, height } = mesh.geometry.parameters;
+    const border = mesh.userData.frameBorder || 0;
+    return { width: width + border * 2, height: height + border * 2 };
+  }
+
+  // Height the plaque below a painting takes up, including the gap above it
+  getPlaqueSpace(mesh) {
+    const plaque = mesh.userData.plaque;
+    return plaque ? this.PLAQUE_GAP + plaque.geometry.parameters.height : 0;
+  }
+
   calculatePaintingCompositionSize(paintingMesh) {
     if (!paintingMesh) return { width: 0, height: 0 };
 
-    const geometry = paintingMesh.geometry;
-    const paintingWidth = geometry.parameters.width;
-    const paintingHeight = geometry.parameters.height;
+    // The framed painting with its plaque underneath
+    const framed = this.getFramedSize(paintingMesh);
+    const paintingWidth = framed.width;
+    const paintingHeight = framed.height + this.getPlaqueSpace(paintingMesh);
     
     let totalWidth = paintingWidth;
     let totalHeight = paintingHeight;
@@ -120,10 +260,12 @@ export default class PaintingManager {
       return null;
     }
 
-    const paintingPos = painting.mesh.position.clone();
-    const geometry = painting.mesh.geometry;
-    const paintingWidth = geometry.parameters.width;
-    const paintingHeight = geometry.parameters.height;
+    const paintingPos = this.getRestingPosition(painting.mesh);
+    const plaqueSpace = this.getPlaqueSpace(painting.mesh);
+    // Frame the painting with its frame and the plaque underneath
+    const framed = this.getFramedSize(painting.mesh);
+    const paintingWidth = framed.width;
+    const paintingHeight = framed.height + plaqueSpace;
     const compositionSize = this.calculatePaintingCompositionSize(painting.mesh);
 
     debug.log('Painting dimensions:', {
@@ -142,8 +284,9 @@ export default class PaintingManager {
     const padding = 1.2; // Add 20% padding around the composition
     const optimalDistance = (maxPaintingDimension * padding) / (2 * Math.tan(fov / 2));
 
-    // Start with the center position of the main painting
+    // Start with the center of the main painting and its plaque
     let compositionCenter = paintingPos.clone();
+    compositionCenter.y -= plaqueSpace / 2;
     
     // Calculate shifts for additional images if they exist
     if (painting.mesh.userData.hasAdditionalImages) {
@@ -175,6 +318,9 @@ export default class PaintingManager {
           case 0: // Front wall
             compositionCenter.x -= shift;
             break;
+          case Math.PI: // Back wall
+            compositionCenter.x += shift;
+            break;
         }
       } else {
         // For landscape, calculate viewport height at the camera distance
@@ -210,6 +356,9 @@ export default class PaintingManager {
       case 0: // Front wall
         offset.set(0, 0, optimalDistance);
         break;
+      case Math.PI: // Back wall
+        offset.set(0, 0, -optimalDistance);
+        break;
       default:
         debug.warn('Unknown painting rotation:', painting.mesh.rotation.y);
         break;
@@ -226,15 +375,12 @@ export default class PaintingManager {
 
   async positionPainting(painting, position, rotation) {
     const meshP = painting.mesh;
-    
-    // Position additional images if they exist
-    if (meshP.userData.hasAdditionalImages) {
-      this.positionAdditionalImages(painting, position.clone(), rotation);
-    }
 
-    // If it's a portrait painting with additional images, shift it left
+    // A portrait painting's additional images hang in columns to its left,
+    // so shift it right to center the whole composition on the position
     if (meshP.userData.hasAdditionalImages && meshP.userData.isPortrait) {
-      const shift = -0.75;
+      const composition = this.calculatePaintingCompositionSize(meshP);
+      const shift = (composition.width - this.getFramedSize(meshP).width) / 2;
       switch (rotation) {
         case Math.PI / 2: // Left wall
           position.z -= shift;
@@ -245,12 +391,21 @@ export default class PaintingManager {
         case 0: // Front wall
           position.x += shift;
           break;
+        case Math.PI: // Back wall
+          position.x -= shift;
+          break;
       }
     }
 
     meshP.position.copy(position);
     meshP.rotation.y = rotation;
     this.scene.add(meshP);
+    this.positionPlaque(meshP);
+
+    // Position additional images if they exist
+    if (meshP.userData.hasAdditionalImages) {
+      this.positionAdditionalImages(painting, position.clone(), rotation);
+    }
 
     // Add sub-content if it exists
     if (meshP.userData.hasSubContent) {
@@ -260,14 +415,44 @@ export default class PaintingManager {
         position.clone(),
         rotation
       );
+      if (this.subContentManager.disposed) return;
+    }
+
+    // Back-wall content faces away from the overview camera outside the room;
+    // single-sided materials keep it from being seen or clicked from behind
+    if (rotation === Math.PI) {
+      const meshes = [
+        meshP,
+        ...meshP.userData.additionalImageMeshes,
+        ...(this.subContentManager.subContentMeshes.get(painting.id) || [])
+      ];
+      meshes.forEach(mesh => {
+        mesh.material.side = THREE.FrontSide;
+        mesh.material.needsUpdate = true;
+      });
+      this.requestRender();
     }
   }
 
+  // Hang the plaque under the painting's frame, lined up with its right edge
+  positionPlaque(mesh) {
+    const plaque = mesh.userData.plaque;
+    if (!plaque) return;
+
+    const framed = this.getFramedSize(mesh);
+    const { width, height } = plaque.geometry.parameters;
+    const right = new THREE.Vector3(1, 0, 0).applyQuaternion(mesh.quaternion);
+
+    plaque.position.copy(mesh.position).addScaledVector(right, (framed.width - width) / 2);
+    plaque.position.y -= framed.height / 2 + this.PLAQUE_GAP + height / 2;
+    plaque.rotation.y = mesh.rotation.y;
+    this.scene.add(plaque);
+  }
+
   positionAdditionalImages(painting, position, rotation) {
     const mesh = painting.mesh;
-    const geometry = mesh.geometry;
-    const paintingWidth = geometry.parameters.width;
-    const paintingHeight = geometry.parameters.height;
+    const { width: paintingWidth, height: paintingHeight } = this.getFramedSize(mesh);
+    const plaqueSpace = this.getPlaqueSpace(mesh);
     const additionalMeshes = mesh.userData.additionalImageMeshes;
 
     if (mesh.userData.isPortrait) {
@@ -278,10 +463,11 @@ export default class PaintingManager {
 
       for (let i = 0; i < additionalMeshes.length; i++) {
         const imgMesh = additionalMeshes[i];
-        const estimatedHeight = this.MAX_SIZE / (imgMesh.geometry.parameters.width / imgMesh.geometry.parameters.height);
+        const imgSize = this.getFramedSize(imgMesh);
+        const estimatedHeight = this.MAX_SIZE / (imgSize.width / imgSize.height);
 
         if (currentHeight + estimatedHeight + (currentColumn.length * this.PADDING) > paintingHeight && currentColumn.length > 0) {
-          this.layoutColumn(currentColumn, position, rotation, columnIndex, paintingHeight);
+          this.layoutColumn(currentColumn, position, rotation, columnIndex, paintingWidth, paintingHeight);
           columnIndex++;
           currentColumn = [];
           currentHeight = 0;
@@ -291,29 +477,26 @@ export default class PaintingManager {
         currentHeight += estimatedHeight;
 
         if (i === additionalMeshes.length - 1 && currentColumn.length > 0) {
-          this.layoutColumn(currentColumn, position, rotation, columnIndex, paintingHeight);
+          this.layoutColumn(currentColumn, position, rotation, columnIndex, paintingWidth, paintingHeight);
         }
       }
     } else {
-      // Position in rows below
-      this.layoutRows(additionalMeshes, position, rotation, paintingWidth, paintingHeight);
+      // Position in rows below, under the plaque
+      this.layoutRows(additionalMeshes, position, rotation, paintingWidth, paintingHeight, plaqueSpace);
     }
   }
 
-  layoutColumn(images, paintingPosition, rotation, columnIndex, paintingHeight) {
+  layoutColumn(images, paintingPosition, rotation, columnIndex, paintingWidth, paintingHeight) {
     // Calculate scale based on height constraint and maximum size
-    const totalAspectRatio = images.reduce((sum, img) => 
-      sum + img.geometry.parameters.height / img.geometry.parameters.width, 0
-    );
+    const sizes = images.map(img => this.getFramedSize(img));
+    const maxWidth = Math.max(...sizes.map(size => size.width));
+    const totalAspectRatio = sizes.reduce((sum, size) => sum + size.height / size.width, 0);
     const totalPadding = (images.length - 1) * this.PADDING;
     const scale = Math.min(
-      this.MAX_SIZE / Math.max(...images.map(img => img.geometry.parameters.width)),
+      this.MAX_SIZE / maxWidth,
       (paintingHeight - totalPadding) / (totalAspectRatio * this.MAX_SIZE)
     );
-    const finalScale = Math.max(
-      this.MIN_SIZE / Math.max(...images.map(img => img.geometry.parameters.width)), 
-      scale
-    );
+    const finalScale = Math.max(this.MIN_SIZE / maxWidth, scale);
 
     let yPosition = paintingPosition.y + (paintingHeight/2); // Start from top
     const columnWidth = this.MAX_SIZE + this.PADDING * 0.2; // Minimal padding between columns
@@ -323,24 +506,27 @@ export default class PaintingManager {
     let baseX = paintingPosition.x;
     let baseZ = paintingPosition.z;
 
-    // Use the same small padding as vertical gaps (this.PADDING)
-    const initialPadding = this.PADDING; // Match the vertical gap size
+    // Columns start the same small gap as the vertical gaps (this.PADDING)
+    // past the painting's frame, measured to the column's center
+    const initialOffset = paintingWidth/2 + this.PADDING + this.MAX_SIZE/2;
 
     switch (rotation) {
       case Math.PI / 2: // Left wall
-        baseZ = paintingPosition.z + paintingHeight/2 + initialPadding + columnOffset;
+        baseZ = paintingPosition.z + initialOffset + columnOffset;
         break;
       case -Math.PI / 2: // Right wall
-        baseZ = paintingPosition.z - paintingHeight/2 - initialPadding - columnOffset;
+        baseZ = paintingPosition.z - initialOffset - columnOffset;
         break;
       case 0: // Front wall
-        baseX = paintingPosition.x - paintingHeight/2 - initialPadding - columnOffset;
+        baseX = paintingPosition.x - initialOffset - columnOffset;
+        break;
+      case Math.PI: // Back wall
+        baseX = paintingPosition.x + initialOffset + columnOffset;
         break;
     }
 
-    images.forEach((imgMesh) => {
-      const scaledWidth = imgMesh.geometry.parameters.width * finalScale;
-      const scaledHeight = imgMesh.geometry.parameters.height * finalScale;
+    images.forEach((imgMesh, index) => {
+      const scaledHeight = sizes[index].height * finalScale;
       
       imgMesh.position.set(
         baseX,
@@ -355,9 +541,9 @@ export default class PaintingManager {
     });
   }
 
-  layoutRows(images, paintingPosition, rotation, paintingWidth, paintingHeight) {
-    // Start position is directly below the painting
-    const startY = paintingPosition.y - (paintingHeight/2) - this.PADDING;
+  layoutRows(images, paintingPosition, rotation, paintingWidth, paintingHeight, plaqueSpace = 0) {
+    // Start position is directly below the painting and its plaque
+    const startY = paintingPosition.y - (paintingHeight/2) - plaqueSpace - this.PADDING;
     
     // Determine optimal images per row based on painting width
     const maxImagesPerRow = Math.min(4, Math.max(2, Math.floor(paintingWidth / (this.MIN_SIZE + this.PADDING))));
@@ -372,9 +558,8 @@ export default class PaintingManager {
     let currentY = startY;
     rows.forEach(rowImages => {
       // Get aspect ratios for all images in the row
-      const aspectRatios = rowImages.map(img => 
-        img.geometry.parameters.width / img.geometry.parameters.height
-      );
+      const sizes = rowImages.map(img => this.getFramedSize(img));
+      const aspectRatios = sizes.map(size => size.width / size.height);
 
       // Calculate row height that will make images fill the painting width
       const totalPadding = (rowImages.length - 1) * this.PADDING;
@@ -412,11 +597,14 @@ export default class PaintingManager {
           case 0: // Front wall
             finalX = paintingPosition.x + currentX + width/2;
             break;
+          case Math.PI: // Back wall
+            finalX = paintingPosition.x - currentX - width/2;
+            break;
         }
 
         // Position and scale the image
         img.position.set(finalX, currentY - rowHeight/2, finalZ);
-        const scale = width / img.geometry.parameters.width; // Calculate uniform scale
+        const scale = width / sizes[index].width; // Calculate uniform scale
         img.scale.set(scale, scale, 1); // Use uniform scale to maintain proportions
         img.rotation.y = rotation;
         this.scene.add(img);
@@ -430,6 +618,68 @@ export default class PaintingManager {
     });
   }
 
+  // Main painting meshes and their additional images, for raycasting
+  getInteractiveMeshes() {
+    const meshes = [];
+    this.paintings.forEach(p => {
+      meshes.push(p.mesh);
+      meshes.push(...p.mesh.userData.additionalImageMeshes);
+    });
+    return meshes;
+  }
+
+  // Pointer hover and keyboard selection can highlight the same mesh
+  // independently, so the lift stays until every source has released it
+  setHovered(mesh, hovered, source = 'pointer') {
+    if (!mesh) return;
+
+    // Remember the resting pose the first time the mesh is hovered
+    if (!mesh.userData.hover) {
+      mesh.userData.hover = {
+        amount: 0,
+        target: 0,
+        sources: new Set(),
+        basePosition: mesh.position.clone(),
+        baseScale: mesh.scale.clone()
+      };
+    }
+    const hover = mesh.userData.hover;
+    if (hovered) {
+      hover.sources.add(source);
+    } else {
+      hover.sources.delete(source);
+    }
+    hover.target = hover.sources.size > 0 ? 1 : 0;
+    this.hoverAnimating.add(mesh);
+  }
+
+  // Where a mesh hangs on the wall, without the lift of a hover in progress
+  getRestingPosition(mesh) {
+    return (mesh.userData.hover?.basePosition ?? mesh.position).clone();
+  }
+
+  // Lift hovered meshes towards the viewer, easing at the same pace at any
+  // frame rate (delta in seconds); returns true while animating
+  updateHover(delta) {
+    if (this.hoverAnimating.size === 0) return false;
+
+    const step = 1 - Math.exp(-this.HOVER_RATE * delta);
+    const normal = new THREE.Vector3();
+    this.hoverAnimating.forEach(mesh => {
+      const hover = mesh.userData.hover;
+      hover.amount += (hover.target - hover.amount) * step;
+      if (Math.abs(hover.target - hover.amount) < 0.001) {
+        hover.amount = hover.target;
+        this.hoverAnimating.delete(mesh);
+      }
+
+      normal.set(0, 0, 1).applyQuaternion(mesh.quaternion);
+      mesh.position.copy(hover.basePosition).addScaledVector(normal, this.HOVER_LIFT * hover.amount);
+      mesh.scale.copy(hover.baseScale).multiplyScalar(1 + this.HOVER_SCALE * hover.amount);
+    });
+    return true;
+  }
+
   getPaintingById(id) {
     const painting = this.paintings.find(p => p.id === id);
     if (!painting) {
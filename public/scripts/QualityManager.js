@@ -0,0 +1,75 @@
+import { debug } from './debug.js';
+
+// Quality tiers from cheapest to richest. Each caps the renderer's pixel
+// ratio and sets antialiasing, anisotropic filtering, how sharp painting
+// textures get for their size on screen, and the lighting tier.
+export const QUALITY_TIERS = {
+  low: { maxPixelRatio: 1, antialias: false, anisotropy: 1, textureScale: 0.5, lighting: 'low' },
+  medium: { maxPixelRatio: 1.5, antialias: true, anisotropy: 4, textureScale: 1, lighting: 'medium' },
+  high: { maxPixelRatio: 2, antialias: true, anisotropy: 8, textureScale: 1, lighting: 'high' }
+};
+export const QUALITY_LEVELS = Object.keys(QUALITY_TIERS);
+
+// Rough guess at what the device can afford from its cores, memory and pointer
+export function detectQuality() {
+  const cores = navigator.hardwareConcurrency || 4;
+  const memory = navigator.deviceMemory || 8; // Only reported by Chromium
+  if (cores <= 2 || memory <= 2) return 'low';
+  if (window.matchMedia('(pointer: coarse)').matches || cores <= 4 || memory <= 4) return 'medium';
+  return 'high';
+}
+
+// Frame times are averaged over SAMPLE_SIZE frames drawn back to back. A
+// slower average drops a tier, a faster one tries the next tier up.
+const SAMPLE_SIZE = 60;
+const SLOW_FRAME_TIME = 1000 / 45; // ms
+const FAST_FRAME_TIME = 1000 / 55; // ms
+
+// Picks the quality tier. 'auto' starts from a guess and follows measured
+// frame times one tier at a time; a tier that was dropped for being too slow
+// is not tried again. A tier name fixes the tier.
+export default class QualityManager {
+  constructor(quality = 'auto', onChange = null) {
+    this.onChange = onChange; // (tier)
+    this.samples = [];
+    this.adaptive = !QUALITY_LEVELS.includes(quality);
+    this.tier = this.adaptive ? detectQuality() : quality;
+    this.maxTierIndex = QUALITY_LEVELS.length - 1; // How far up adaptation may go
+  }
+
+  get settings() {
+    return QUALITY_TIERS[this.tier];
+  }
+
+  // 'auto' adapts from the current tier on; a tier name fixes it
+  setQuality(quality) {
+    this.adaptive = !QUALITY_LEVELS.includes(quality);
+    this.maxTierIndex = QUALITY_LEVELS.length - 1;
+    this.samples = [];
+    if (!this.adaptive) this.setTier(quality);
+  }
+
+  // Milliseconds between two frames drawn back to back
+  recordFrame(frameTime) {
+    if (!this.adaptive) return;
+    this.samples.push(frameTime);
+    if (this.samples.length < SAMPLE_SIZE) return;
+
+    const average = this.samples.reduce((sum, time) => sum + time, 0) / this.samples.length;
+    this.samples = [];
+    const index = QUALITY_LEVELS.indexOf(this.tier);
+    if (average > SLOW_FRAME_TIME && index > 0) {
+      this.maxTierIndex = index - 1;
+      this.setTier(QUALITY_LEVELS[index - 1]);
+    } else if (average < FAST_FRAME_TIME && index < this.maxTierIndex) {
+      this.setTier(QUALITY_LEVELS[index + 1]);
+    }
+  }
+
+  setTier(tier) {
+    if (tier === this.tier) return;
+    debug.log(`QualityManager: Switching from ${this.tier} to ${tier} quality`);
+    this.tier = tier;
+    if (this.onChange) this.onChange(tier);
+  }
+}
@@ -1,9 +1,114 @@
 import * as THREE from "https://unpkg.com/three@0.176.0/build/three.module.js";
-import PaintingManager from "./PaintingManager.js";
-import { debug } from './debug.js';
+import AssetLoader from "./AssetLoader.js";
+import CameraTransition from "./CameraTransition.js";
+import EventEmitter from "./EventEmitter.js";
+import ExhibitRoom, { DOOR_DEPTH, DOOR_HEIGHT, DOOR_WIDTH } from "./ExhibitRoom.js";
+import ImageVariants from "./ImageVariants.js";
+import OverviewControls from "./OverviewControls.js";
+import QualityManager from "./QualityManager.js";
+import { LIGHTING_QUALITIES } from "./RoomLighting.js";
+import WalkControls from "./WalkControls.js";
+import { debug, isDebugMode } from './debug.js';
+
+// Rooms sit on a shared floor so their doorways line up
+const FLOOR_LEVEL = -4;
+// How far before and after a doorway the camera lines up when walking through
+const DOORWAY_APPROACH = 2;
+// Duration of the fade used to jump between rooms that are not next door
+const FADE_DURATION = 300;
+// Walk mode: eye height above the floor, closest distance to a wall, and how
+// close a painting has to be to focus it with a key press
+const EYE_HEIGHT = 2;
+const WALK_MARGIN = 0.5;
+const NEARBY_DISTANCE = 6;
+// Overview controls: how far the view may turn once inside the room, the
+// closest the camera may get to the front wall, and how long it takes to follow
+const OVERVIEW_MAX_YAW = Math.PI / 5;
+const OVERVIEW_MAX_PITCH = Math.PI / 8;
+const OVERVIEW_WALL_DISTANCE = 3;
+const OVERVIEW_FOLLOW_DURATION = 150;
+// Camera moves that turn further than this bend through the middle of the room
+const CURVE_MIN_ANGLE = Math.PI / 4;
+// How often painting textures are checked against their size on screen, in ms
+const TEXTURE_CHECK_INTERVAL = 500;
+// How often the debug frame counter is refreshed, in ms
+const FRAME_COUNTER_INTERVAL = 1000;
+
+// Events for on() and off(), and what their listeners receive:
+// - ready: nothing; fires again once setPaintings has rebuilt the room
+// - load-progress: { loaded, total } assets since the view started
+// - focus-start: { paintingId }; focus-end: { paintingId, completed }
+// - reset: nothing; the camera is heading back to the overview
+// - painting-click: { paintingId, imageIndex }, imageIndex null for the painting itself
+// - sub-content-click: { paintingId, url } for a link beside a painting
+// - hover: { paintingId }, null once nothing is hovered any more
+// - resize: { width, height } of the container
+// - error: { error, url }, url only for an asset that failed to load
+// - room-change: { slug } once the visitor has moved to another room
+// - walk-mode-change: { walking } when walk mode starts or stops
+// - quality-change: { tier } the quality tier now in use
+/**
+ * @typedef {{
+ *   'ready': undefined,
+ *   'load-progress': { loaded: number, total: number },
+ *   'focus-start': { paintingId: number },
+ *   'focus-end': { paintingId: number, completed: boolean },
+ *   'reset': undefined,
+ *   'painting-click': { paintingId: number, imageIndex: number | null },
+ *   'sub-content-click': { paintingId: number, url: string },
+ *   'hover': { paintingId: number | null },
+ *   'resize': { width: number, height: number },
+ *   'error': { error: Error, url?: string },
+ *   'room-change': { slug: string },
+ *   'walk-mode-change': { walking: boolean },
+ *   'quality-change': { tier: string }
+ * }} Room3DEvents
+ */
+
+/** @type {(keyof Room3DEvents)[]} */
+export const ROOM3D_EVENTS = [
+  'ready',
+  'load-progress',
+  'focus-start',
+  'focus-end',
+  'reset',
+  'painting-click',
+  'sub-content-click',
+  'hover',
+  'resize',
+  'error',
+  'room-change',
+  'walk-mode-change',
+  'quality-change'
+];
+
+// Rotation that looks from one point at another
+function lookRotation(from, to) {
+  const m = new THREE.Matrix4().lookAt(from, to, new THREE.Vector3(0, 1, 0));
+  return new THREE.Quaternion().setFromRotationMatrix(m);
+}
+
+/** @extends {EventEmitter<Room3DEvents>} */
+export default class Room3D extends EventEmitter {
+  // three.js only renders through WebGL2
+  static isSupported() {
+    try {
+      const canvas = document.createElement('canvas');
+      return Boolean(window.WebGL2RenderingContext && canvas.getContext('webgl2'));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // onReady and the on*Change options are shorthands for on('ready') and
+  // the matching events; new code should subscribe with on()
+  constructor(container, paintings, onReady, options = {}) {
+    super(ROOM3D_EVENTS);
+    if (onReady) this.on('ready', () => onReady());
+    if (options.onQualityChange) this.on('quality-change', ({ tier }) => options.onQualityChange(tier));
+    if (options.onRoomChange) this.on('room-change', ({ slug }) => options.onRoomChange(slug));
+    if (options.onWalkModeChange) this.on('walk-mode-change', ({ walking }) => options.onWalkModeChange(walking));
 
-export default class Room3D {
-  constructor(container, paintings, onReady) {
     // Scene setup
     this.scene = new THREE.Scene();
     this.camera = new THREE.PerspectiveCamera(
@@ -12,359 +117,828 @@ export default class Room3D {
       0.1,
       1000
     );
-    this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+
+    // Quality tier: 'low', 'medium' or 'high' from options.quality, or
+    // adapted to the measured frame rate ('auto'). Antialiasing can't change
+    // on a running renderer, so it follows the tier the room starts with.
+    this.qualityManager = new QualityManager(options.quality, () => this.applyQuality());
+    this.renderer = new THREE.WebGLRenderer({ antialias: this.qualityManager.settings.antialias, alpha: true });
+    this.renderer.setPixelRatio(this.getPixelRatio());
     this.renderer.setSize(container.offsetWidth, container.offsetHeight);
+    this.textureScale = this.qualityManager.settings.textureScale;
+    this.lastRenderTime = null; // When the previous frame was drawn, if it was
+
+    // The lighting follows the quality tier unless options.lightingQuality
+    // fixes it. Shadows are only cast on 'high', so the shadow map costs
+    // nothing below it.
+    this.lightingOverride = LIGHTING_QUALITIES.includes(options.lightingQuality) ? options.lightingQuality : null;
+    this.lightingQuality = this.lightingOverride || this.qualityManager.settings.lighting;
+    this.renderer.shadowMap.enabled = true;
+    this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
     container.appendChild(this.renderer.domElement);
 
+    // Paintings start as placeholders and load the resolution they need
+    this.imageVariants = new ImageVariants(options.imageVariants);
+    this.lastTextureCheck = 0;
+
+    // Make the canvas reachable by keyboard; key handling lives in the host page
+    this.renderer.domElement.tabIndex = 0;
+    this.renderer.domElement.setAttribute('role', 'application');
+    this.renderer.domElement.setAttribute('aria-roledescription', '3D gallery');
+    this.renderer.domElement.setAttribute(
+      'aria-label',
+      'Gallery room. Use Tab or the arrow keys to move between paintings, Enter to focus a painting and Enter again to open its images, Escape to return to the overview.'
+    );
+
     // Store container reference for resize handling
     this.container = container;
 
     // Setup raycaster for painting interaction
     this.raycaster = new THREE.Raycaster();
     this.mouse = new THREE.Vector2();
-    this.onPaintingClick = null;
-
-    // Add click event listener
-    this.renderer.domElement.addEventListener('click', this.handleClick.bind(this));
+    this.removePaintingClickHandler = null; // Set by setOnPaintingClick
+
+    // Hover state; raycasting on pointer move is throttled to hoverThrottle ms
+    this.hoveredLink = null;
+    this.hoveredMesh = null;
+    this.hoveredPaintingId = null;
+    this.selectedMesh = null; // Keyboard selection
+    this.hoverThrottle = 50;
+    this.lastHoverCheck = 0;
+    this.hoverTimeout = null;
+    this.pendingPointerEvent = null;
+    this.tooltip = this.createTooltip();
+
+    // Add click and hover event listeners
+    this.handleClick = this.handleClick.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerLeave = this.handlePointerLeave.bind(this);
+    this.renderer.domElement.addEventListener('click', this.handleClick);
+    this.renderer.domElement.addEventListener('pointermove', this.handlePointerMove);
+    this.renderer.domElement.addEventListener('pointerleave', this.handlePointerLeave);
+
+    // Touch drags move the camera instead of scrolling or zooming the page
+    this.renderer.domElement.style.touchAction = 'none';
+
+    // Track loading state. Every texture and image goes through one asset
+    // loader, which drives the loading screen and reports what failed.
+    this.isReady = false;
+    this.assetLoader = new AssetLoader({
+      onProgress: (loaded, total) => {
+        // Whatever just arrived is about to show up in the room
+        this.requestRender();
+        this.updateLoadingProgress(loaded, total);
+        this.emit('load-progress', { loaded, total });
+      },
+      onError: url => this.emit('error', { error: new Error(`Could not load ${url}`), url })
+    });
+    this.assetLoader.anisotropy = this.getAnisotropy();
+    this.itemsLoaded = 0;
+    this.loadingStart = 0; // itemsLoaded when the loading screen was shown
+    this.loadingOverlay = this.createLoadingOverlay();
+    this.showLoading();
 
-    // Initialize texture loader
-    this.textureLoader = new THREE.TextureLoader();
+    // Rooms are connected in a row through doorways in their side walls
+    this.roomOptions = { layoutSeed: options.layoutSeed, useBackWall: options.useBackWall };
+    this.createRooms(paintings, options.rooms, options.initialRoom);
 
-    // Initialize painting manager
-    this.paintingManager = new PaintingManager(this.scene);
-
-    // Track loading state
-    this.isReady = false;
-    this.onReady = onReady;
-
-    // Default textures
-    this.roomTextures = {
-      left: "/textures/wall.jpg",
-      right: "/textures/wall.jpg",
-      front: "/textures/wall.jpg",
-      floor: "/textures/floor.jpg",
-      ceiling: "/textures/ceiling.jpg",
-    };
+    // A counter so a newer trip can cancel one that is still waiting for its
+    // room to load
+    this.travelId = 0;
 
     // Track current focus for cleanup
     this.currentFocus = null;
-    this.currentCameraPosition = new THREE.Vector3();
-    this.currentCameraRotation = new THREE.Quaternion();
-    this.desiredCameraPosition = new THREE.Vector3();
-    this.desiredCameraRotation = new THREE.Quaternion();
-
-    // Animation properties
-    this.focusPositionSpeed = 0.05;
-    this.focusRotationSpeed = 0.05;
-    this.resetPositionSpeed = 0.01;
-    this.resetRotationSpeed = 0.02;
-    this.resizeSpeed = 1;
-    this.currentPositionSpeed = this.resetPositionSpeed;
-    this.currentRotationSpeed = this.resetRotationSpeed;
+
+    // The running camera move, if any; a new move interrupts it
+    this.cameraTransition = null;
+
+    // Walk mode; the controls only take over once the camera has reached
+    // the walk start spot
+    this.isWalking = false;
+    this.clock = new THREE.Clock();
+    this.walkControls = new WalkControls(this.camera, this.renderer.domElement, container, {
+      onFocusRequest: () => this.focusNearbyPainting(),
+      onExitRequest: () => this.setWalkMode(false)
+    });
+
+    // Drag to look and wheel or pinch to move in while in the overview
+    this.overviewControls = new OverviewControls(this.renderer.domElement, {
+      canControl: () => this.canControlOverview(),
+      clamp: view => this.clampOverviewView(view),
+      onChange: () => this.updateOverviewView()
+    });
+
+    // Rendering stops while any reason to pause holds, e.g. a hidden tab
+    this.pauseReasons = new Set();
+    this.pausedAt = 0;
+    this.isDestroyed = false;
+
+    // Frames are only drawn when something changed: the camera moved, an
+    // animation ran or requestRender() was called. Debug mode counts them.
+    this.needsRender = true;
+    this.renderedPose = { position: new THREE.Vector3(), rotation: new THREE.Quaternion() };
+    this.frameStats = { rendered: 0, skipped: 0 };
+    this.lastFrameCounterUpdate = 0;
+    this.frameCounter = isDebugMode ? this.createFrameCounter() : null;
 
     // Bind methods
     this.animate = this.animate.bind(this);
     this.handleResize = this.handleResize.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
 
-    // Add window resize listener
+    // Add window resize and tab visibility listeners
     window.addEventListener("resize", this.handleResize);
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    this.handleVisibilityChange();
+
+    // Nothing is rendered while the room is scrolled out of view
+    this.intersectionObserver = new IntersectionObserver(([entry]) => {
+      this.setPaused('offscreen', !entry.isIntersecting);
+    });
+    this.intersectionObserver.observe(container);
 
     // Start the initialization process
-    if (Array.isArray(paintings)) {
-      this.initializeRoom(paintings);
-    }
+    this.initializeRoom();
 
     // Start animation loop
-    this.animate();
+    if (!this.isPaused) this.animate();
   }
 
-  async initializeRoom(paintings) {
+  // Paintings go to the room named by their room slug, or the first room
+  createRooms(paintings, rooms, initialRoom) {
+    const paintingList = Array.isArray(paintings) ? paintings : [];
+    const roomList = rooms && rooms.length > 0
+      ? rooms
+      : [{ slug: 'main', title: 'Gallery' }];
+    this.roomList = roomList;
+    this.paintingCount = paintingList.length;
+    this.paintingRooms = paintingList.map(painting =>
+      Math.max(0, roomList.findIndex(room => room.slug === painting.room))
+    );
+    this.rooms = roomList.map((room, index) => new ExhibitRoom(
+      this.scene,
+      room,
+      paintingList
+        .map((data, id) => ({ data, id }))
+        .filter(({ id }) => this.paintingRooms[id] === index),
+      {
+        doors: { left: index > 0, right: index < roomList.length - 1 },
+        layoutSeed: this.roomOptions.layoutSeed,
+        useBackWall: this.roomOptions.useBackWall,
+        lightingQuality: this.lightingQuality,
+        imageVariants: this.imageVariants,
+        assetLoader: this.assetLoader,
+        requestRender: () => this.requestRender()
+      }
+    ));
+    this.activeRoomIndex = Math.max(0, roomList.findIndex(room => room.slug === initialRoom));
+  }
+
+  async initializeRoom() {
     try {
-      // First, load all paintings without positioning them
-      const loadedPaintings = await Promise.all(
-        paintings.map((paintingData, index) => 
-          this.paintingManager.loadPainting(paintingData, index)
-        )
-      );
+      // Load the first room; its neighbours follow in the background. It
+      // comes back empty when setPaintings or destroy dropped it meanwhile.
+      if (!await this.activateRoom(this.activeRoomIndex)) return;
 
-      // Calculate total space needed and arrange paintings
-      const totalSpace = this.calculateTotalSpaceNeeded(loadedPaintings);
+      // Set initial camera state: the overview of the room
+      this.jumpCamera(this.getOverviewPose());
 
-      // Now calculate room dimensions based on the arranged paintings
-      this.roomDimensions = this.calculateRoomDimensions(totalSpace);
+      // Mark as ready and tell the listeners
+      this.isReady = true;
+      this.hideLoading();
+      this.emit('ready');
 
-      // Create the room with the calculated dimensions
-      this.setupRoom();
+    } catch (error) {
+      console.error('Error initializing room:', error);
+      this.loadingText.textContent = 'The gallery could not be loaded.';
+      this.emit('error', { error });
+    }
+  }
 
-      // Position all paintings
-      this.positionPaintings(loadedPaintings);
+  // Replace the exhibits without reloading the page. Every room is dropped
+  // and built again from the new list, and from `options.rooms` if given;
+  // the visitor stays in the room with the same slug if it still exists.
+  // Resolves once the new room is ready.
+  setPaintings(paintings, options = {}) {
+    if (this.isDestroyed) return Promise.resolve();
+    const slug = this.activeRoomSlug;
+
+    this.stopWalking();
+    if (this.activeRoom.isLoaded) this.leaveRoom();
+    this.travelId++;
+    if (this.cameraTransition) {
+      this.cameraTransition.cancel();
+      this.cameraTransition = null;
+    }
+    this.isReady = false;
+    this.rooms.forEach(room => room.unload());
 
-      // Calculate optimal camera position based on room dimensions and FOV
-      const optimalPosition = this.calculateOptimalCameraPosition();
-      this.defaultCameraDistance = optimalPosition.distance;
-      this.defaultCameraHeight = optimalPosition.height;
+    this.createRooms(paintings, options.rooms || this.roomList, slug);
+    // A fade to another room may have been cut short
+    this.renderer.domElement.style.opacity = '1';
+    this.showLoading();
+    return this.initializeRoom();
+  }
 
-      // Set initial camera position
-      this.currentCameraPosition = new THREE.Vector3(
-        0,
-        this.defaultCameraHeight,
-        this.roomDimensions.depth / 2 + this.defaultCameraDistance
-      );
-      this.currentCameraRotation = new THREE.Quaternion();
-      this.desiredCameraPosition = this.currentCameraPosition.clone();
-      this.desiredCameraRotation = new THREE.Quaternion();
+  // Stop rendering, camera moves and videos until resume(). Hiding the tab
+  // or scrolling the room out of view pauses as well, independently of this.
+  pause() {
+    this.setPaused('api', true);
+  }
 
-      // Set initial camera state
-      this.camera.position.copy(this.currentCameraPosition);
-      this.camera.lookAt(0, 0, 0);
-      this.currentCameraRotation.copy(this.camera.quaternion);
-      this.desiredCameraRotation.copy(this.camera.quaternion);
+  resume() {
+    this.setPaused('api', false);
+  }
 
-      // Mark as ready and call callback
-      this.isReady = true;
-      if (this.onReady) this.onReady();
+  get isPaused() {
+    return this.pauseReasons.size > 0;
+  }
 
-    } catch (error) {
-      console.error('Error initializing room:', error);
+  handleVisibilityChange() {
+    this.setPaused('hidden', document.hidden);
+  }
+
+  setPaused(reason, paused) {
+    if (this.isDestroyed) return;
+    const wasPaused = this.isPaused;
+    if (paused) {
+      this.pauseReasons.add(reason);
+    } else {
+      this.pauseReasons.delete(reason);
+    }
+    if (this.isPaused === wasPaused) return;
+
+    // Only the active room has a focused painting, so only its videos play
+    const room = this.activeRoom;
+    const subContentManager = room.isLoaded ? room.paintingManager.subContentManager : null;
+
+    if (this.isPaused) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.pausedAt = performance.now();
+      if (subContentManager) subContentManager.setFocusedPainting(null);
+      debug.log('Room3D: Paused');
+    } else {
+      // A running camera move carries on where it stopped, and the first
+      // frame doesn't step over the paused time
+      if (this.cameraTransition) this.cameraTransition.delay(performance.now() - this.pausedAt);
+      this.clock.getDelta();
+      this.lastRenderTime = null;
+      if (subContentManager) subContentManager.setFocusedPainting(this.currentFocus);
+      debug.log('Room3D: Resumed');
+      this.requestRender();
+      this.animate();
     }
   }
 
-  calculateTotalSpaceNeeded(paintings) {
-    let totalLeftWallWidth = 0;
-    let totalFrontWallWidth = 0;
-    let maxHeight = 0;
+  // 'auto' adapts the quality tier to the frame rate; 'low', 'medium' or
+  // 'high' fixes it
+  setQuality(quality) {
+    this.qualityManager.setQuality(quality);
+  }
 
-    // Calculate total width of paintings on each wall
-    const paintingsWithSizes = paintings.map(painting => {
-      const size = this.paintingManager.calculatePaintingCompositionSize(painting.mesh);
-      return {
-        painting,
-        size,
-        area: size.width * size.height
-      };
-    });
+  get qualityTier() {
+    return this.qualityManager.tier;
+  }
+
+  // Bring the renderer, textures and lights in line with the quality tier
+  applyQuality() {
+    const settings = this.qualityManager.settings;
+    this.renderer.setPixelRatio(this.getPixelRatio());
+    this.textureScale = settings.textureScale;
 
-    // Shuffle all paintings randomly
-    const shuffledPaintings = [...paintingsWithSizes];
-    for (let i = shuffledPaintings.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffledPaintings[i], shuffledPaintings[j]] = [shuffledPaintings[j], shuffledPaintings[i]];
+    const anisotropy = this.getAnisotropy();
+    if (anisotropy !== this.assetLoader.anisotropy) {
+      this.assetLoader.anisotropy = anisotropy;
+      this.rooms.forEach(room => room.setAnisotropy(anisotropy));
     }
 
-    // Split paintings evenly between walls
-    const leftWallPaintings = shuffledPaintings.slice(0, Math.ceil(shuffledPaintings.length / 2));
-    const frontWallPaintings = shuffledPaintings.slice(Math.ceil(shuffledPaintings.length / 2));
+    this.setLightingQuality(this.lightingOverride || settings.lighting);
+    this.requestRender();
+    this.emit('quality-change', { tier: this.qualityManager.tier });
+  }
+
+  // Device pixels per CSS pixel, capped by the quality tier
+  getPixelRatio() {
+    return Math.min(window.devicePixelRatio || 1, this.qualityManager.settings.maxPixelRatio);
+  }
+
+  getAnisotropy() {
+    return Math.min(this.qualityManager.settings.anisotropy, this.renderer.capabilities.getMaxAnisotropy());
+  }
+
+  // New lights for every loaded room; the active room keeps its shadows
+  // and focused spotlight
+  setLightingQuality(quality) {
+    if (quality === this.lightingQuality) return;
+    this.lightingQuality = quality;
+    this.rooms.forEach((room, index) => {
+      room.setLightingQuality(quality);
+      if (!room.isLoaded) return;
+      const isActive = index === this.activeRoomIndex;
+      room.lighting.setShadows(isActive);
+      if (isActive) room.lighting.setFocusedPainting(this.currentFocus);
+    });
+  }
+
+  // Assets that could not be loaded even after retrying
+  get failedAssets() {
+    return [...this.assetLoader.failed];
+  }
+
+  get activeRoom() {
+    return this.rooms[this.activeRoomIndex];
+  }
+
+  get activeRoomSlug() {
+    return this.activeRoom.slug;
+  }
 
-    // Reset totals before final calculation
-    totalLeftWallWidth = 0;
-    totalFrontWallWidth = 0;
-    maxHeight = 0;
+  // The painting manager and size of the room the visitor is in
+  get paintingManager() {
+    return this.activeRoom.paintingManager;
+  }
+
+  get roomDimensions() {
+    return this.activeRoom.dimensions;
+  }
 
-    // Calculate final dimensions and assign walls
-    leftWallPaintings.forEach((item) => {
-      const { painting, size } = item;
-      maxHeight = Math.max(maxHeight, size.height);
-      painting.targetWall = 'left';
-      totalLeftWallWidth += size.width;
+  // Make a room the active one: load and place it, then load its neighbours
+  // and drop every room further away. Resolves with the room, or null when
+  // it was dropped while loading.
+  async activateRoom(index) {
+    const room = this.rooms[index];
+    await room.load();
+    if (!room.isLoaded) return null;
+    if (!room.isPlaced) this.placeRoom(index);
+    this.activeRoomIndex = index;
+    this.rooms.forEach((other, otherIndex) => {
+      if (other.isLoaded) other.lighting.setShadows(otherIndex === index);
     });
+    this.requestRender();
+
+    [index - 1, index + 1].forEach(neighbourIndex => {
+      const neighbour = this.rooms[neighbourIndex];
+      if (!neighbour) return;
+      neighbour.load().then(() => {
+        if (!neighbour.isLoaded) return;
+        if (!neighbour.isPlaced && Math.abs(neighbourIndex - this.activeRoomIndex) <= 1) {
+          this.placeRoom(neighbourIndex);
+        }
+        this.unloadDistantRooms();
+      });
+    });
+    this.unloadDistantRooms();
+    return room;
+  }
 
-    frontWallPaintings.forEach((item) => {
-      const { painting, size } = item;
-      maxHeight = Math.max(maxHeight, size.height);
-      painting.targetWall = 'front';
-      totalFrontWallWidth += size.width;
+  unloadDistantRooms() {
+    this.rooms.forEach((room, index) => {
+      if (room.isLoaded && Math.abs(index - this.activeRoomIndex) > 1) {
+        room.unload();
+        this.requestRender();
+      }
     });
+  }
 
-    // Replace the original paintings array with the new shuffled order
-    paintings.splice(0, paintings.length, 
-      ...leftWallPaintings.map(item => item.painting),
-      ...frontWallPaintings.map(item => item.painting)
-    );
+  // Put a loaded room next to whichever neighbour is already in place, with
+  // their doorways lined up. A room without placed neighbours goes to the origin.
+  placeRoom(index) {
+    const room = this.rooms[index];
+    const { width, height } = room.dimensions;
+    const left = this.rooms[index - 1];
+    const right = this.rooms[index + 1];
+
+    let x = 0;
+    if (left && left.isPlaced) {
+      x = left.group.position.x + left.dimensions.width / 2 + DOOR_DEPTH + width / 2;
+    } else if (right && right.isPlaced) {
+      x = right.group.position.x - right.dimensions.width / 2 - DOOR_DEPTH - width / 2;
+    }
+    room.place(new THREE.Vector3(x, height / 2 + FLOOR_LEVEL, 0));
+    this.requestRender();
+  }
 
-    return {
-      leftWallWidth: totalLeftWallWidth,
-      frontWallWidth: totalFrontWallWidth,
-      maxHeight: maxHeight
-    };
+  // Move to another room and end at one of its paintings or its overview.
+  // Next-door rooms are reached through the doorway, others with a fade.
+  // Resolves with true once the camera has arrived.
+  async goToRoom(index, paintingId = null) {
+    this.stopWalking();
+    const travelId = ++this.travelId;
+    const target = this.rooms[index];
+    let arrival;
+
+    if (Math.abs(index - this.activeRoomIndex) === 1) {
+      await target.load();
+      // A newer trip or a jump elsewhere may have happened while loading
+      if (travelId !== this.travelId || Math.abs(index - this.activeRoomIndex) !== 1) return false;
+      if (!target.isPlaced) this.placeRoom(index);
+
+      const path = this.getDoorwayPath(this.activeRoomIndex, index);
+      this.leaveRoom();
+      if (!await this.activateRoom(index)) return false;
+      const pose = this.enterRoom(paintingId);
+      if (!pose) return false;
+
+      arrival = this.moveCamera([...path, pose]);
+    } else {
+      // Once faded out the jump always completes, so the canvas fades back in
+      await this.fadeCanvas(0);
+      if (!target.isLoaded) this.showLoading();
+      await target.load();
+      // setPaintings or destroy dropped the room; it owns the canvas now
+      if (!target.isLoaded) return false;
+      this.hideLoading();
+
+      // Without a placed neighbour the room starts over at the origin; the
+      // rooms around the old one are dropped before the next frame
+      this.leaveRoom();
+      if (!target.isPlaced) this.placeRoom(index);
+      await this.activateRoom(index);
+      const pose = travelId === this.travelId ? this.enterRoom(paintingId) : null;
+      if (pose) this.jumpCamera(pose);
+      await this.fadeCanvas(1);
+      arrival = Boolean(pose);
+    }
+
+    this.emit('room-change', { slug: target.slug });
+    return arrival;
   }
 
-  calculateRoomDimensions(totalSpace) {
-    const WALL_PADDING = 2; // 2 meters padding on each wall
-    const MIN_ROOM_SIZE = 16; // Minimum room size in meters
+  // Drop hover, selection and playing videos before the active room changes
+  leaveRoom() {
+    this.setHoveredLink(null);
+    this.setHoveredMesh(null);
+    this.setSelectedPainting(null);
+    this.activeRoom.setFocusedPainting(null);
+    this.currentFocus = null;
+    this.overviewControls.reset();
+  }
 
-    // Calculate initial dimensions (doubled as before)
-    let depth = Math.max(MIN_ROOM_SIZE, (totalSpace.leftWallWidth + WALL_PADDING * 2) * 2);
-    let width = Math.max(MIN_ROOM_SIZE, (totalSpace.frontWallWidth + WALL_PADDING * 2) * 2);
-    const height = Math.max(MIN_ROOM_SIZE / 2, totalSpace.maxHeight * 2);
+  // Focus state for the new active room; returns the pose to end the trip at
+  enterRoom(paintingId) {
+    if (paintingId === null) return this.getOverviewPose();
 
-    // Ensure width is at least 2/3 of depth
-    const minWidthFromDepth = depth * (4/5);
-    width = Math.max(width, minWidthFromDepth);
+    const pose = this.getPaintingPose(paintingId);
+    if (pose) {
+      this.currentFocus = paintingId;
+      this.activeRoom.setFocusedPainting(paintingId);
+    }
+    return pose;
+  }
 
-    return {
-      width,
-      height,
-      depth
-    };
+  // Stops on either side of the doorway between two neighbouring rooms
+  getDoorwayPath(fromIndex, toIndex) {
+    const direction = toIndex > fromIndex ? 1 : -1;
+    const doorway = this.rooms[fromIndex].getDoorway(direction > 0 ? 'right' : 'left');
+    doorway.y += DOOR_HEIGHT / 2;
+
+    const before = doorway.clone().setX(doorway.x - direction * DOORWAY_APPROACH);
+    const after = doorway.clone().setX(doorway.x + direction * DOORWAY_APPROACH);
+    const rotation = lookRotation(before, after);
+    return [
+      { position: before, rotation },
+      { position: after, rotation: rotation.clone() }
+    ];
   }
 
-  positionPaintings(paintings) {
-    const WALL_OFFSET = 0.01; // 1cm offset from wall to prevent clipping
+  // Start a timed move from the current camera pose through `poses`,
+  // interrupting any running move. Resolves with true on arrival and false
+  // when interrupted.
+  moveCamera(poses, options = {}) {
+    if (this.cameraTransition) this.cameraTransition.cancel();
+
+    const from = { position: this.camera.position.clone(), rotation: this.camera.quaternion.clone() };
+    const control = poses.length === 1 ? this.getCurveControl(from, poses[0]) : null;
+    const transition = new CameraTransition(from, poses, { control, ...options });
+    this.cameraTransition = transition;
+    return transition.promise;
+  }
 
-    // Separate paintings by wall
-    const leftWallPaintings = paintings.filter(p => p.targetWall === 'left');
-    const frontWallPaintings = paintings.filter(p => p.targetWall === 'front');
+  // Place the camera at a pose at once, stopping any running move
+  jumpCamera(pose) {
+    if (this.cameraTransition) {
+      this.cameraTransition.cancel();
+      this.cameraTransition = null;
+    }
+    this.camera.position.copy(pose.position);
+    this.camera.quaternion.copy(pose.rotation);
+  }
 
-    // Calculate total width of paintings on each wall
-    const leftWallTotalWidth = leftWallPaintings.reduce((sum, p) => 
-      sum + this.paintingManager.calculatePaintingCompositionSize(p.mesh).width, 0);
-    const frontWallTotalWidth = frontWallPaintings.reduce((sum, p) => 
-      sum + this.paintingManager.calculatePaintingCompositionSize(p.mesh).width, 0);
+  // Moves that turn the camera a lot, like from the left wall to the front
+  // wall, bend towards the middle of the room instead of cutting the corner
+  getCurveControl(from, to) {
+    const fromDirection = new THREE.Vector3(0, 0, -1).applyQuaternion(from.rotation);
+    const toDirection = new THREE.Vector3(0, 0, -1).applyQuaternion(to.rotation);
+    if (fromDirection.angleTo(toDirection) < CURVE_MIN_ANGLE) return null;
 
-    // Calculate spacing between paintings
-    const leftWallSpacing = (this.roomDimensions.depth - leftWallTotalWidth) / (leftWallPaintings.length + 1);
-    const frontWallSpacing = (this.roomDimensions.width - frontWallTotalWidth) / (frontWallPaintings.length + 1);
+    const middle = from.position.clone().lerp(to.position, 0.5);
+    const center = this.activeRoom.group.position.clone().setY(middle.y);
+    return middle.lerp(center, 0.5);
+  }
 
-    // Position paintings on left wall
-    let currentLeftOffset = -this.roomDimensions.depth / 2 + leftWallSpacing; // Start after first spacing
-    leftWallPaintings.forEach(painting => {
-      const size = this.paintingManager.calculatePaintingCompositionSize(painting.mesh);
-      const position = new THREE.Vector3(
-        -this.roomDimensions.width / 2 + WALL_OFFSET, // Slightly in front of left wall
-        0,
-        currentLeftOffset + size.width / 2
-      );
-      this.paintingManager.positionPainting(painting, position, Math.PI / 2);
-      currentLeftOffset += size.width + leftWallSpacing;
-    });
+  // Send the camera to a pose; during a doorway trip it still passes the
+  // doorway stops it has not reached yet
+  setCameraTarget(pose, options) {
+    const stops = this.isCrossingDoorway() ? this.cameraTransition.getUpcomingStops() : [];
+    return this.moveCamera([...stops, pose], options);
+  }
 
-    // Position paintings on front wall
-    let currentFrontOffset = -this.roomDimensions.width / 2 + frontWallSpacing; // Start after first spacing
-    frontWallPaintings.forEach(painting => {
-      const size = this.paintingManager.calculatePaintingCompositionSize(painting.mesh);
-      const position = new THREE.Vector3(
-        currentFrontOffset + size.width / 2,
-        0,
-        -this.roomDimensions.depth / 2 + WALL_OFFSET // Slightly in front of front wall
-      );
-      this.paintingManager.positionPainting(painting, position, 0);
-      currentFrontOffset += size.width + frontWallSpacing;
-    });
+  isCrossingDoorway() {
+    return Boolean(this.cameraTransition) && this.cameraTransition.getUpcomingStops().length > 0;
+  }
+
+  // Fade the canvas out or in for jumps between rooms that are not next door
+  fadeCanvas(opacity) {
+    const canvas = this.renderer.domElement;
+    canvas.style.transition = `opacity ${FADE_DURATION}ms`;
+    canvas.style.opacity = String(opacity);
+    return new Promise(resolve => setTimeout(resolve, FADE_DURATION));
   }
 
-  setupRoom() {
-    const halfWidth = this.roomDimensions.width / 2;
-    const halfHeight = this.roomDimensions.height / 2;
-    const halfDepth = this.roomDimensions.depth / 2;
+  // Walk mode: first-person controls inside the active room. Entering glides
+  // to a spot just inside the room's open side; leaving returns to the overview.
+  setWalkMode(active) {
+    if (!this.isReady || active === this.isWalking) return;
 
-    // Adjust texture repeat based on wall dimensions
-    const getTextureRepeat = (width, height) => ({
-      x: Math.ceil(width / 5), // 5 units per texture repeat
-      y: Math.ceil(height / 5),
+    if (!active) {
+      this.stopWalking();
+      this.resetCamera();
+      return;
+    }
+
+    this.travelId++;
+    this.currentFocus = null;
+    this.activeRoom.setFocusedPainting(null);
+    this.setHoveredLink(null);
+    this.setHoveredMesh(null);
+    this.setSelectedPainting(null);
+
+    this.overviewControls.reset();
+    this.isWalking = true;
+    this.moveCamera([this.getWalkStartPose()]).then(completed => {
+      if (completed && this.isWalking) this.walkControls.enable();
     });
+    this.emit('walk-mode-change', { walking: true });
+  }
 
-    // Helper function to create a textured wall
-    const createWall = (textureUrl, width, height, position, rotation) => {
-      const texture = this.textureLoader.load(textureUrl);
-      texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
-      const repeat = getTextureRepeat(width, height);
-      texture.repeat.set(repeat.x, repeat.y);
-
-      const geometry = new THREE.PlaneGeometry(width, height);
-      const material = new THREE.MeshBasicMaterial({
-        map: texture,
-        side: THREE.FrontSide,
-      });
+  // Leave walk mode where the visitor stands, for flows that move the camera next
+  stopWalking() {
+    if (!this.isWalking) return;
+    this.isWalking = false;
+    this.walkControls.disable();
+    this.emit('walk-mode-change', { walking: false });
+  }
 
-      const wall = new THREE.Mesh(geometry, material);
-      wall.position.copy(position);
-      if (rotation) {
-        wall.rotation.copy(rotation);
-      }
-      this.scene.add(wall);
-      return wall;
-    };
+  // Just inside the open side of the active room, looking in
+  getWalkStartPose() {
+    const { height, depth } = this.roomDimensions;
+    const position = new THREE.Vector3(0, -height / 2 + EYE_HEIGHT, depth / 2 - 2)
+      .add(this.activeRoom.group.position);
+    const target = position.clone().add(new THREE.Vector3(0, 0, -1));
+    return { position, rotation: lookRotation(position, target) };
+  }
 
-    // Create walls with different dimensions
-    // Left wall
-    createWall(
-      this.roomTextures.left,
-      this.roomDimensions.depth,
-      this.roomDimensions.height, // depth x height
-      new THREE.Vector3(-halfWidth, 0, 0),
-      new THREE.Euler(0, Math.PI / 2, 0)
+  // Keep a walking visitor inside the active room. Doorways lead on into the
+  // neighbouring rooms, which become active halfway through the passage.
+  constrainWalkPosition(position) {
+    const room = this.activeRoom;
+    const local = position.clone().sub(room.group.position);
+    const { width, height, depth } = room.dimensions;
+    const halfWidth = width / 2 - WALK_MARGIN;
+    const halfDepth = depth / 2 - WALK_MARGIN;
+    const halfDoor = DOOR_WIDTH / 2 - WALK_MARGIN;
+    const passageEnd = width / 2 + DOOR_DEPTH;
+
+    local.z = THREE.MathUtils.clamp(local.z, -halfDepth, halfDepth);
+
+    // A doorway only lets the visitor through once the next room is in place
+    const canPass = side => {
+      const neighbour = this.rooms[this.activeRoomIndex + (side === 'left' ? -1 : 1)];
+      return Math.abs(local.z) <= halfDoor && room.doors[side] && neighbour && neighbour.isPlaced;
+    };
+    local.x = THREE.MathUtils.clamp(
+      local.x,
+      canPass('left') ? -passageEnd : -halfWidth,
+      canPass('right') ? passageEnd : halfWidth
     );
 
-    // Right wall
-    createWall(
-      this.roomTextures.right,
-      this.roomDimensions.depth,
-      this.roomDimensions.height, // depth x height
-      new THREE.Vector3(halfWidth, 0, 0),
-      new THREE.Euler(0, -Math.PI / 2, 0)
-    );
+    // Inside a passage the jambs keep the visitor in the doorway
+    if (Math.abs(local.x) > halfWidth) {
+      local.z = THREE.MathUtils.clamp(local.z, -halfDoor, halfDoor);
+    }
+    local.y = -height / 2 + EYE_HEIGHT;
 
-    // Front wall
-    createWall(
-      this.roomTextures.front,
-      this.roomDimensions.width,
-      this.roomDimensions.height, // width x height
-      new THREE.Vector3(0, 0, -halfDepth),
-      new THREE.Euler(0, 0, 0)
-    );
+    // Past the middle of the passage the visitor is in the next room
+    if (Math.abs(local.x) > width / 2 + DOOR_DEPTH / 2) {
+      this.switchWalkRoom(this.activeRoomIndex + Math.sign(local.x));
+    }
 
-    // Floor
-    createWall(
-      this.roomTextures.floor,
-      this.roomDimensions.width,
-      this.roomDimensions.depth, // width x depth
-      new THREE.Vector3(0, -halfHeight, 0),
-      new THREE.Euler(-Math.PI / 2, 0, 0)
-    );
+    return local.add(room.group.position);
+  }
 
-    // Ceiling
-    createWall(
-      this.roomTextures.ceiling,
-      this.roomDimensions.width,
-      this.roomDimensions.depth, // width x depth
-      new THREE.Vector3(0, halfHeight, 0),
-      new THREE.Euler(Math.PI / 2, 0, 0)
-    );
+  switchWalkRoom(index) {
+    this.leaveRoom();
+    // Set right away so the next frame already collides with the new room
+    this.activeRoomIndex = index;
+    this.activateRoom(index).then(room => {
+      if (room) this.emit('room-change', { slug: this.activeRoomSlug });
+    });
+  }
+
+  // The closest painting of the active room in front of the walking visitor
+  findNearbyPainting() {
+    const forward = new THREE.Vector3();
+    this.camera.getWorldDirection(forward);
+    forward.setY(0).normalize();
+
+    let nearest = null;
+    let nearestDistance = NEARBY_DISTANCE;
+    this.paintingManager.paintings.forEach(painting => {
+      const toPainting = painting.mesh.getWorldPosition(new THREE.Vector3()).sub(this.camera.position);
+      toPainting.setY(0);
+      const distance = toPainting.length();
+      if (distance < nearestDistance && toPainting.normalize().dot(forward) > 0.5) {
+        nearest = painting;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
+
+  // Focus the painting in front of the visitor the same way a click would
+  focusNearbyPainting() {
+    const painting = this.findNearbyPainting();
+    if (!painting) {
+      debug.log('Room3D: No painting close enough to focus');
+      return;
+    }
+
+    // Without a listener to decide what a click does, just focus it
+    if (this.getListeners('painting-click').size > 0) {
+      this.emit('painting-click', { paintingId: painting.id, imageIndex: null });
+    } else {
+      this.focusOnPainting(painting.id);
+    }
+  }
+
+  // Show the overview of a room, travelling there if needed
+  showRoom(slug) {
+    if (!this.isReady) {
+      debug.warn("Room3D: Cannot show a room before initialization is complete");
+      return;
+    }
+    const index = this.rooms.findIndex(room => room.slug === slug);
+    if (index === -1) {
+      debug.warn("Room3D: No room found with slug:", slug);
+      return;
+    }
+
+    if (index === this.activeRoomIndex) {
+      this.resetCamera();
+    } else {
+      this.goToRoom(index);
+    }
   }
 
   animate() {
-    requestAnimationFrame(this.animate);
+    this.animationFrameId = requestAnimationFrame(this.animate);
+    // Cap the step so a frame after a background tab doesn't jump through walls
+    const delta = Math.min(this.clock.getDelta(), 0.1);
+
+    const now = performance.now();
+
+    if (this.walkControls.enabled) {
+      // Walking moves the camera directly
+      this.walkControls.update(delta, position => this.constrainWalkPosition(position));
+    } else if (this.cameraTransition && this.cameraTransition.update(this.camera, now)) {
+      const transition = this.cameraTransition;
+      this.cameraTransition = null;
+      transition.finish();
+    }
 
-    // Smoothly interpolate camera position
-    this.camera.position.lerp(
-      this.desiredCameraPosition,
-      this.currentPositionSpeed
-    );
-    this.currentCameraPosition.copy(this.camera.position);
+    // Advance hover lifts, spotlight fades and animated sub-content
+    // (carousels, videos); each reports whether it changed anything
+    let changed = this.needsRender;
+    this.rooms.forEach(room => {
+      if (!room.isLoaded) return;
+      changed = room.paintingManager.updateHover(delta) || changed;
+      changed = room.lighting.update(delta) || changed;
+      changed = room.paintingManager.subContentManager.update(now) || changed;
+    });
 
-    // Smoothly interpolate camera rotation
-    this.camera.quaternion.slerp(
-      this.desiredCameraRotation,
-      this.currentRotationSpeed
-    );
-    this.currentCameraRotation.copy(this.camera.quaternion);
+    if (this.isReady && now - this.lastTextureCheck > TEXTURE_CHECK_INTERVAL) {
+      this.lastTextureCheck = now;
+      this.updateTextureResolution();
+    }
+
+    const cameraMoved = !this.camera.position.equals(this.renderedPose.position) ||
+      !this.camera.quaternion.equals(this.renderedPose.rotation);
+    if (changed || cameraMoved) {
+      this.renderer.render(this.scene, this.camera);
+      this.renderedPose.position.copy(this.camera.position);
+      this.renderedPose.rotation.copy(this.camera.quaternion);
+      this.needsRender = false;
+      this.frameStats.rendered++;
+
+      // Only frames drawn back to back tell how fast the device renders
+      if (this.lastRenderTime !== null) this.qualityManager.recordFrame(now - this.lastRenderTime);
+      this.lastRenderTime = now;
+    } else {
+      this.frameStats.skipped++;
+      this.lastRenderTime = null;
+    }
+    this.updateFrameCounter(now);
+  }
+
+  // Draw the next frame even if nothing animated or moved, e.g. after a
+  // texture loaded or a material changed
+  requestRender() {
+    this.needsRender = true;
+  }
 
-    this.renderer.render(this.scene, this.camera);
+  // Debug overlay with the number of frames drawn and skipped
+  createFrameCounter() {
+    const counter = document.createElement('div');
+    counter.className = 'room3d-frame-counter';
+    counter.style.cssText = [
+      'position: absolute',
+      'top: 0.5rem',
+      'left: 0.5rem',
+      'padding: 0.25rem 0.5rem',
+      'border-radius: 4px',
+      'background: rgba(0, 0, 0, 0.6)',
+      'color: #0f0',
+      'font: 12px/1.4 monospace',
+      'pointer-events: none',
+      'z-index: 1'
+    ].join(';');
+    this.container.appendChild(counter);
+    return counter;
   }
 
+  updateFrameCounter(now) {
+    if (!this.frameCounter || now - this.lastFrameCounterUpdate < FRAME_COUNTER_INTERVAL) return;
+    this.lastFrameCounterUpdate = now;
+    const { rendered, skipped } = this.frameStats;
+    const share = Math.round((rendered / Math.max(1, rendered + skipped)) * 100);
+    this.frameCounter.textContent =
+      `Frames rendered: ${rendered}, skipped: ${skipped} (${share}% rendered), ${this.qualityManager.tier} quality`;
+  }
+
+  // Load sharper painting textures where the camera has come closer
+  updateTextureResolution() {
+    const viewportWidth = this.renderer.domElement.width * this.textureScale;
+    this.rooms.forEach(room => {
+      if (room.isPlaced) room.paintingManager.updateTextureResolution(this.camera, viewportWidth);
+    });
+  }
+
+  // Resolves with true once the camera has arrived at the painting, or
+  // false if the move could not start or was interrupted. A move that
+  // starts is bracketed by focus-start and focus-end events.
   focusOnPainting(id) {
     if (!this.isReady) {
       debug.warn(
         "Room3D: Cannot focus on painting before initialization is complete"
       );
-      return;
+      return Promise.resolve(false);
     }
-    const painting = this.paintingManager.getPaintingById(id);
-    if (!painting) {
+    this.stopWalking();
+    const roomIndex = this.paintingRooms[id];
+    if (roomIndex === undefined) {
       debug.warn("Room3D: No painting found with id:", id);
-      return;
+      return Promise.resolve(false);
     }
 
+    this.emit('focus-start', { paintingId: id });
+    return this.moveToPainting(id, roomIndex).then(completed => {
+      this.emit('focus-end', { paintingId: id, completed });
+      return completed;
+    });
+  }
+
+  moveToPainting(id, roomIndex) {
+    // Paintings in another room are reached by walking over there
+    if (roomIndex !== this.activeRoomIndex) {
+      return this.goToRoom(roomIndex, id);
+    }
+    this.travelId++; // Cancel a trip that is still waiting for its room
+
+    const pose = this.getPaintingPose(id);
+    if (!pose) return Promise.resolve(false);
+
+    this.currentFocus = id;
+    this.activeRoom.setFocusedPainting(id);
+    this.overviewControls.reset();
+
+    return this.setCameraTarget(pose);
+  }
+
+  // Camera pose in front of a painting of the active room
+  getPaintingPose(id) {
+    const painting = this.paintingManager.getPaintingById(id);
+    if (!painting) return null;
+
     debug.log('Focusing on painting:', {
       id,
       position: painting.mesh.position,
@@ -372,38 +946,20 @@ export default class Room3D {
       userData: painting.mesh.userData
     });
 
-    this.currentFocus = painting.id;
-
-    // Set to faster animation speeds for focusing
-    this.currentPositionSpeed = this.focusPositionSpeed;
-    this.currentRotationSpeed = this.focusRotationSpeed;
-
     // Get optimal camera position from PaintingManager
     const cameraSetup = this.paintingManager.calculateOptimalCameraPositionForPainting(painting, this.camera);
     if (!cameraSetup) {
       debug.error("Room3D: Failed to calculate camera position for painting:", id);
-      return;
+      return null;
     }
 
     debug.log('Camera setup received:', cameraSetup);
 
-    // Set desired camera position
-    this.desiredCameraPosition.copy(cameraSetup.position);
-
-    // Calculate and set desired rotation
-    const m = new THREE.Matrix4().lookAt(
-      this.desiredCameraPosition,
-      cameraSetup.target,
-      new THREE.Vector3(0, 1, 0)
-    );
-    this.desiredCameraRotation.setFromRotationMatrix(m);
-
-    debug.log('Camera transition setup:', {
-      currentPosition: this.camera.position.clone(),
-      desiredPosition: this.desiredCameraPosition.clone(),
-      currentRotation: this.camera.quaternion.clone(),
-      desiredRotation: this.desiredCameraRotation.clone()
-    });
+    // The painting manager works in room coordinates
+    const offset = this.activeRoom.group.position;
+    const position = cameraSetup.position.clone().add(offset);
+    const target = cameraSetup.target.clone().add(offset);
+    return { position, rotation: lookRotation(position, target) };
   }
 
   calculatePaintingOffset(rotationY, distance) {
@@ -419,35 +975,83 @@ export default class Room3D {
       case 0: // Front wall
         offset.set(0, 0, distance);
         break;
+      case Math.PI: // Back wall
+        offset.set(0, 0, -distance);
+        break;
     }
 
     return offset;
   }
 
+  // Resolves like focusOnPainting once the overview is reached
   resetCamera() {
+    this.stopWalking();
+    this.travelId++; // Cancel a trip that is still waiting for its room
     this.currentFocus = null;
+    this.activeRoom.setFocusedPainting(null);
+    this.overviewControls.reset();
+    this.emit('reset');
 
-    // Set to slower animation speeds for resetting
-    this.currentPositionSpeed = this.resetPositionSpeed;
-    this.currentRotationSpeed = this.resetRotationSpeed;
+    return this.setCameraTarget(this.getOverviewPose());
+  }
 
+  // Overview of the active room from outside its open side
+  getOverviewPose() {
     // Recalculate optimal camera position in case window was resized
     const optimalPosition = this.calculateOptimalCameraPosition();
+    const center = this.activeRoom.group.position;
 
-    // Reset to default position
-    this.desiredCameraPosition.set(
+    const position = new THREE.Vector3(
       0,
       optimalPosition.height,
       this.roomDimensions.depth / 2 + optimalPosition.distance
-    );
+    ).add(center);
 
-    // Calculate default rotation (looking into room)
-    const m = new THREE.Matrix4().lookAt(
-      this.desiredCameraPosition,
-      new THREE.Vector3(0, 0, 0),
-      new THREE.Vector3(0, 1, 0)
-    );
-    this.desiredCameraRotation.setFromRotationMatrix(m);
+    // Looking into the room
+    return { position, rotation: lookRotation(position, center.clone()) };
+  }
+
+  // Manual control is only for the plain overview, never during animations
+  // to a painting, doorway trips or walk mode
+  canControlOverview() {
+    return this.isReady && !this.isWalking && this.currentFocus === null && !this.isCrossingDoorway();
+  }
+
+  // Keep the manual view on the room's visible shell: the camera moves in no
+  // further than OVERVIEW_WALL_DISTANCE from the front wall, and while it is
+  // still outside the open side it may only turn as far as the edges of the
+  // opening stay out of view
+  clampOverviewView({ yaw, pitch, dolly }) {
+    const { width, height, depth } = this.roomDimensions;
+    const overviewDistance = this.calculateOptimalCameraPosition().distance;
+    const clampedDolly = THREE.MathUtils.clamp(dolly, 0, overviewDistance + depth - OVERVIEW_WALL_DISTANCE);
+
+    const outside = overviewDistance - clampedDolly;
+    const halfFovY = THREE.MathUtils.degToRad(this.camera.fov / 2);
+    const halfFovX = Math.atan(Math.tan(halfFovY) * this.camera.aspect);
+    const maxYaw = outside > 0
+      ? Math.min(OVERVIEW_MAX_YAW, Math.max(0, Math.atan(width / 2 / outside) - halfFovX))
+      : OVERVIEW_MAX_YAW;
+    const maxPitch = outside > 0
+      ? Math.min(OVERVIEW_MAX_PITCH, Math.max(0, Math.atan(height / 2 / outside) - halfFovY))
+      : OVERVIEW_MAX_PITCH;
+
+    return {
+      yaw: THREE.MathUtils.clamp(yaw, -maxYaw, maxYaw),
+      pitch: THREE.MathUtils.clamp(pitch, -maxPitch, maxPitch),
+      dolly: clampedDolly
+    };
+  }
+
+  // Overview pose moved in by the dolly and turned by the manual look
+  updateOverviewView() {
+    const { yaw, pitch, dolly } = this.overviewControls;
+    const pose = this.getOverviewPose();
+    pose.position.z -= dolly;
+    pose.rotation.multiply(new THREE.Quaternion().setFromEuler(new THREE.Euler(pitch, yaw, 0, 'YXZ')));
+
+    // Short moves that keep restarting smooth out the pointer input
+    this.moveCamera([pose], { duration: OVERVIEW_FOLLOW_DURATION, easing: 'easeOutCubic' });
   }
 
   // Helper method to calculate optimal camera position
@@ -489,7 +1093,8 @@ export default class Room3D {
   }
 
   handleResize() {
-    // Update renderer size
+    // Update renderer size; the window may have moved to another screen
+    this.renderer.setPixelRatio(this.getPixelRatio());
     this.renderer.setSize(
       this.container.offsetWidth,
       this.container.offsetHeight
@@ -502,90 +1107,363 @@ export default class Room3D {
     this.camera.aspect =
       this.container.offsetWidth / this.container.offsetHeight;
 
-    // Recalculate optimal camera position
-    const optimalPosition = this.calculateOptimalCameraPosition();
-
-    // If we're at the default view (not focused on a painting), update desired position
-    const distanceToOrigin = new THREE.Vector3(0, 0, 0).distanceTo(
-      this.desiredCameraPosition
-    );
-    const defaultDistance =
-      this.roomDimensions.depth / 2 + optimalPosition.distance;
-    const isAtDefaultView = Math.abs(distanceToOrigin - defaultDistance) < 0.1;
-
-    if (this.currentFocus === null) {
-      // Temporarily increase animation speeds for resize
-      this.currentPositionSpeed = this.resizeSpeed;
-      this.currentRotationSpeed = this.resizeSpeed;
-
-      // Reset speeds after a short delay
-      setTimeout(() => {
-        this.currentPositionSpeed = this.resetPositionSpeed;
-        this.currentRotationSpeed = this.resetRotationSpeed;
-      }, 100);
-    }
-
     // Update camera projection
     this.camera.updateProjectionMatrix();
-  }
 
-  // Add new method for click handling
-  handleClick(event) {
-    if (!this.onPaintingClick) return;
+    // Resizing clears the canvas; a paused room redraws it right away
+    this.requestRender();
+    if (this.isPaused) this.renderer.render(this.scene, this.camera);
+    this.emit('resize', { width: this.container.offsetWidth, height: this.container.offsetHeight });
+
+    // The overview distance depends on the aspect ratio, and so do the
+    // limits of a manual overview view
+    if (!this.canControlOverview()) return;
+    if (this.overviewControls.isActive()) {
+      const { yaw, pitch, dolly } = this.overviewControls;
+      this.overviewControls.apply(yaw, pitch, dolly);
+    } else if (this.cameraTransition) {
+      this.setCameraTarget(this.getOverviewPose());
+    } else {
+      this.jumpCamera(this.getOverviewPose());
+    }
+  }
 
+  // Update the picking ray from a mouse/pointer event
+  updateRaycaster(event) {
     // Calculate mouse position in normalized device coordinates (-1 to +1)
     const rect = this.renderer.domElement.getBoundingClientRect();
     this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
     this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
 
-    // Update the picking ray with the camera and mouse position
     this.raycaster.setFromCamera(this.mouse, this.camera);
+  }
 
-    // Get all painting meshes and their additional images
-    const allMeshes = [];
-    this.paintingManager.paintings.forEach(p => {
-      allMeshes.push(p.mesh);
-      if (p.mesh.userData.additionalImageMeshes) {
-        p.mesh.userData.additionalImageMeshes.forEach((imgMesh, index) => {
-          // Store the parent painting id and image index in the mesh's userData
-          imgMesh.userData = {
-            parentPaintingId: p.id,
-            imageIndex: index + 1 // +1 because main image will be at index 0
-          };
-          allMeshes.push(imgMesh);
-        });
-      }
-    });
+  // Find the sub-content link under the current picking ray, if any
+  intersectLink() {
+    const links = this.paintingManager.subContentManager.getLinkMeshes();
+    const intersects = this.raycaster.intersectObjects(links);
+    return intersects.length > 0 ? intersects[0].object : null;
+  }
 
-    // Calculate objects intersecting the picking ray
-    const intersects = this.raycaster.intersectObjects(allMeshes);
-
-    if (intersects.length > 0) {
-      // Get the first intersected mesh
-      const clickedMesh = intersects[0].object;
-      
-      if (clickedMesh.userData.parentPaintingId !== undefined) {
-        // This is an additional image
-        const parentPaintingId = clickedMesh.userData.parentPaintingId;
-        const imageIndex = clickedMesh.userData.imageIndex;
-        
-        // Call the click handler with both IDs
-        this.onPaintingClick(parentPaintingId, imageIndex);
+  handleClick(event) {
+    if (!this.isReady) return;
+    // The end of a drag in the overview is not a click on a painting
+    if (this.overviewControls.consumeClick()) return;
+
+    if (this.isWalking) {
+      if (!this.walkControls.enabled) return;
+      if (this.walkControls.isPointerLocked()) {
+        // With the pointer locked, clicks pick whatever is under the crosshair
+        this.mouse.set(0, 0);
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+      } else if (!this.walkControls.useTouchControls) {
+        // The first click captures the mouse for looking around
+        this.walkControls.lockPointer();
+        return;
       } else {
-        // This is a main painting
-        this.onPaintingClick(clickedMesh.userData.id);
+        this.updateRaycaster(event);
       }
+    } else {
+      this.updateRaycaster(event);
+    }
+
+    // Links take precedence over paintings
+    const link = this.intersectLink();
+    if (link) {
+      this.emit('sub-content-click', { paintingId: link.userData.paintingId, url: link.userData.url });
+      this.openLink(link.userData.url);
+      return;
+    }
+
+    const clickedMesh = this.intersectPainting();
+    if (!clickedMesh) return;
+
+    if (clickedMesh.userData.parentPaintingId !== undefined) {
+      // This is an additional image
+      const { parentPaintingId, imageIndex } = clickedMesh.userData;
+      this.emit('painting-click', { paintingId: parentPaintingId, imageIndex });
+    } else {
+      // This is a main painting
+      this.emit('painting-click', { paintingId: clickedMesh.userData.id, imageIndex: null });
+    }
+  }
+
+  // Find the painting or additional image under the current picking ray, if any
+  intersectPainting() {
+    const intersects = this.raycaster.intersectObjects(this.paintingManager.getInteractiveMeshes());
+    if (intersects.length === 0) return null;
+    // Frames are children of their picture and count as part of it
+    const object = intersects[0].object;
+    return object.userData.isFrame ? object.parent : object;
+  }
+
+  handlePointerMove(event) {
+    // Touch has no hover; taps are handled as clicks. A locked pointer only looks around.
+    if (!this.isReady || event.pointerType === 'touch' || this.walkControls.isPointerLocked()) return;
+
+    // Keep the tooltip glued to the pointer, but only raycast every hoverThrottle ms
+    this.positionTooltip(event);
+    this.pendingPointerEvent = event;
+    if (this.hoverTimeout !== null) return;
+
+    const wait = Math.max(0, this.hoverThrottle - (performance.now() - this.lastHoverCheck));
+    this.hoverTimeout = setTimeout(() => {
+      this.hoverTimeout = null;
+      this.lastHoverCheck = performance.now();
+      this.updateHover(this.pendingPointerEvent);
+    }, wait);
+  }
+
+  handlePointerLeave() {
+    clearTimeout(this.hoverTimeout);
+    this.hoverTimeout = null;
+    this.setHoveredLink(null);
+    this.setHoveredMesh(null);
+  }
+
+  updateHover(event) {
+    this.updateRaycaster(event);
+
+    // Links sit beside paintings, so they take precedence like in handleClick
+    const link = this.intersectLink();
+    this.setHoveredLink(link);
+    this.setHoveredMesh(link ? null : this.intersectPainting());
+  }
+
+  setHoveredLink(link) {
+    if (link === this.hoveredLink) return;
+
+    const subContentManager = this.paintingManager.subContentManager;
+    subContentManager.setLinkHovered(this.hoveredLink, false);
+    subContentManager.setLinkHovered(link, true);
+    this.hoveredLink = link;
+    this.requestRender();
+    this.updateCursor();
+  }
+
+  setHoveredMesh(mesh) {
+    if (mesh === this.hoveredMesh) return;
+
+    this.paintingManager.setHovered(this.hoveredMesh, false);
+    this.paintingManager.setHovered(mesh, true);
+    this.hoveredMesh = mesh;
+    this.updateCursor();
+
+    const paintingId = mesh
+      ? (mesh.userData.parentPaintingId !== undefined ? mesh.userData.parentPaintingId : mesh.userData.id)
+      : null;
+    this.updateTooltip(mesh, paintingId);
+
+    // Moving between a painting and its own additional images is still the same painting
+    if (paintingId === this.hoveredPaintingId) return;
+    this.hoveredPaintingId = paintingId;
+    this.emit('hover', { paintingId });
+  }
+
+  // Highlight a painting chosen with the keyboard (null clears the selection)
+  setSelectedPainting(id) {
+    // Only paintings in the active room can be selected
+    const painting = id === null || this.paintingRooms[id] !== this.activeRoomIndex
+      ? null
+      : this.paintingManager.getPaintingById(id);
+    const mesh = painting ? painting.mesh : null;
+    if (mesh === this.selectedMesh) return;
+
+    this.paintingManager.setHovered(this.selectedMesh, false, 'keyboard');
+    this.paintingManager.setHovered(mesh, true, 'keyboard');
+    this.selectedMesh = mesh;
+  }
+
+  getPaintingCount() {
+    return this.paintingCount;
+  }
+
+  updateCursor() {
+    this.renderer.domElement.style.cursor = this.hoveredLink || this.hoveredMesh ? 'pointer' : '';
+  }
+
+  createTooltip() {
+    const tooltip = document.createElement('div');
+    tooltip.className = 'room3d-tooltip';
+    tooltip.setAttribute('role', 'tooltip');
+    tooltip.style.cssText = [
+      'position: absolute',
+      'top: 0',
+      'left: 0',
+      'max-width: 280px',
+      'padding: 0.5rem 0.75rem',
+      'border-radius: 4px',
+      'background: rgba(0, 0, 0, 0.8)',
+      'color: #fff',
+      'font: 14px/1.4 Arial, sans-serif',
+      'pointer-events: none',
+      'opacity: 0',
+      'transition: opacity 0.15s',
+      'z-index: 1'
+    ].join(';');
+
+    this.tooltipTitle = document.createElement('strong');
+    this.tooltipDescription = document.createElement('div');
+    tooltip.append(this.tooltipTitle, this.tooltipDescription);
+
+    // The container needs to be a positioning context for the tooltip
+    if (getComputedStyle(this.container).position === 'static') {
+      this.container.style.position = 'relative';
+    }
+    this.container.appendChild(tooltip);
+    return tooltip;
+  }
+
+  // Loading screen over the canvas with a progress bar, shown until the
+  // first room is ready and while a room reached with a fade loads
+  createLoadingOverlay() {
+    const overlay = document.createElement('div');
+    overlay.className = 'room3d-loading';
+    overlay.setAttribute('role', 'progressbar');
+    overlay.setAttribute('aria-label', 'Loading the gallery');
+    overlay.setAttribute('aria-valuemin', '0');
+    overlay.setAttribute('aria-valuemax', '100');
+    overlay.style.cssText = [
+      'position: absolute',
+      'inset: 0',
+      'display: flex',
+      'flex-direction: column',
+      'align-items: center',
+      'justify-content: center',
+      'gap: 0.75rem',
+      'background: #111',
+      'color: #fff',
+      'font: 16px/1.4 Arial, sans-serif',
+      'transition: opacity 0.3s',
+      'z-index: 2'
+    ].join(';');
+
+    this.loadingText = document.createElement('div');
+    const track = document.createElement('div');
+    track.style.cssText = 'width: 200px; height: 4px; border-radius: 2px; background: rgba(255, 255, 255, 0.2); overflow: hidden';
+    this.loadingBar = document.createElement('div');
+    this.loadingBar.style.cssText = 'width: 0; height: 100%; background: #0077ff; transition: width 0.2s';
+    track.appendChild(this.loadingBar);
+    overlay.append(this.loadingText, track);
+
+    // createTooltip has already made the container a positioning context
+    this.container.appendChild(overlay);
+    return overlay;
+  }
+
+  showLoading() {
+    this.isLoading = true;
+    this.loadingStart = this.itemsLoaded;
+    this.loadingOverlay.style.visibility = 'visible';
+    this.loadingOverlay.style.opacity = '1';
+    this.setLoadingProgress(0);
+  }
+
+  hideLoading() {
+    this.isLoading = false;
+    this.loadingOverlay.style.opacity = '0';
+    this.loadingOverlay.style.visibility = 'hidden';
+  }
+
+  // Progress of the loads started since the loading screen was shown
+  updateLoadingProgress(loaded, total) {
+    this.itemsLoaded = loaded;
+    if (!this.isLoading) return;
+    const pending = total - this.loadingStart;
+    this.setLoadingProgress(pending > 0 ? (loaded - this.loadingStart) / pending : 0);
+  }
+
+  setLoadingProgress(share) {
+    const percent = Math.round(share * 100);
+    this.loadingText.textContent = `Loading gallery… ${percent}%`;
+    this.loadingBar.style.width = `${percent}%`;
+    this.loadingOverlay.setAttribute('aria-valuenow', String(percent));
+  }
+
+  updateTooltip(mesh, paintingId) {
+    if (!mesh) {
+      this.tooltip.style.opacity = '0';
+      return;
     }
+
+    const painting = this.paintingManager.getPaintingById(paintingId);
+    const { title, description, additionalImagesCount } = painting.mesh.userData;
+    const imageIndex = mesh.userData.imageIndex;
+
+    this.tooltipTitle.textContent = imageIndex
+      ? `${title} (${imageIndex + 1}/${additionalImagesCount + 1})`
+      : title;
+    this.tooltipDescription.textContent = description;
+    this.tooltipDescription.hidden = !description;
+    this.tooltip.style.opacity = '1';
   }
 
-  // Add method to set click handler
+  positionTooltip(event) {
+    const OFFSET = 16;
+    const rect = this.container.getBoundingClientRect();
+    let x = event.clientX - rect.left + OFFSET;
+    let y = event.clientY - rect.top + OFFSET;
+
+    // Flip to the other side of the pointer near the right and bottom edges
+    if (x + this.tooltip.offsetWidth > rect.width) {
+      x = event.clientX - rect.left - this.tooltip.offsetWidth - OFFSET;
+    }
+    if (y + this.tooltip.offsetHeight > rect.height) {
+      y = event.clientY - rect.top - this.tooltip.offsetHeight - OFFSET;
+    }
+    this.tooltip.style.transform = `translate(${Math.max(0, x)}px, ${Math.max(0, y)}px)`;
+  }
+
+  // Internal links navigate in the same tab, external ones open a new tab
+  openLink(url) {
+    const target = new URL(url, window.location.href);
+    debug.log('Opening link:', target.href);
+
+    if (target.origin === window.location.origin) {
+      window.location.assign(target.href);
+    } else {
+      window.open(target.href, '_blank', 'noopener,noreferrer');
+    }
+  }
+
+  /**
+   * Single click handler, (paintingId, imageIndex), replacing the previous one
+   * @deprecated Subscribe with on('painting-click') instead
+   */
   setOnPaintingClick(handler) {
-    this.onPaintingClick = handler;
+    if (this.removePaintingClickHandler) this.removePaintingClickHandler();
+    this.removePaintingClickHandler = handler
+      ? this.on('painting-click', ({ paintingId, imageIndex }) => handler(paintingId, imageIndex ?? undefined))
+      : null;
   }
 
+  // Stop everything and free the scene's GPU resources; the instance can't
+  // be used again afterwards
   destroy() {
+    this.isDestroyed = true;
+
     // Remove event listeners when cleaning up
     window.removeEventListener("resize", this.handleResize);
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    this.intersectionObserver.disconnect();
+    this.walkControls.destroy();
+    this.overviewControls.destroy();
+    if (this.cameraTransition) this.cameraTransition.cancel();
     this.renderer.domElement.removeEventListener('click', this.handleClick);
+    this.renderer.domElement.removeEventListener('pointermove', this.handlePointerMove);
+    this.renderer.domElement.removeEventListener('pointerleave', this.handlePointerLeave);
+    clearTimeout(this.hoverTimeout);
+    this.tooltip.remove();
+    this.loadingOverlay.remove();
+    if (this.frameCounter) this.frameCounter.remove();
+    this.removeAllListeners();
+
+    // Stop rendering and release the WebGL context so another view can take over
+    cancelAnimationFrame(this.animationFrameId);
+    this.travelId++;
+    this.rooms.forEach(room => room.unload());
+    this.renderer.dispose();
+    this.renderer.forceContextLoss();
+    this.renderer.domElement.remove();
   }
 }
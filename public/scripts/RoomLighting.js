@@ -0,0 +1,143 @@
+import * as THREE from "https://unpkg.com/three@0.176.0/build/three.module.js";
+
+// Lighting tiers from cheapest to richest: 'low' has no painting spotlights,
+// 'medium' adds them, 'high' also lets the active room's spotlights cast shadows
+export const LIGHTING_QUALITIES = ['low', 'medium', 'high'];
+
+// Brightness targets as the share of full white a white surface reaches.
+// 'low' gets more ambient light to make up for the missing spotlights.
+const AMBIENT_LEVEL = 0.45;
+const LOW_AMBIENT_LEVEL = 0.7;
+const CEILING_LIGHT_LEVEL = 0.25;
+const SPOTLIGHT_LEVEL = 0.35;
+const FOCUSED_SPOTLIGHT_LEVEL = 0.65;
+
+const CEILING_LIGHT_SPACING = 10; // meters between ceiling lights
+const SPOTLIGHT_DISTANCE = 2.5; // meters out from the wall
+const SPOTLIGHT_RISE = 2; // meters above the painting's center
+const SPOTLIGHT_FADE_RATE = 6; // how quickly spotlights follow the focus, per second
+const WARM_WHITE = 0xfff1e0;
+
+// Intensity at which a point or spot light lights a surface `distance` away
+// to `level`, with three.js' physical falloff and Lambert shading
+function intensityFor(level, distance) {
+  return level * Math.PI * distance * distance;
+}
+
+// Lights of one ExhibitRoom: ambient light, ceiling lights spread over the
+// room and, from 'medium' up, a spotlight above each painting that brightens
+// while the painting is focused. Everything lives in the room's group.
+export default class RoomLighting {
+  constructor(group, dimensions, quality) {
+    this.group = group;
+    this.dimensions = dimensions;
+    this.quality = quality;
+    this.spotlights = new Map(); // painting id -> { light, distance, level, target }
+    this.lights = []; // Everything added to the group, so it can be taken out again
+    this.shadows = false;
+
+    this.addAmbientLight();
+    this.addCeilingLights();
+  }
+
+  addAmbientLight() {
+    const level = this.quality === 'low' ? LOW_AMBIENT_LEVEL : AMBIENT_LEVEL;
+    const light = new THREE.HemisphereLight(0xffffff, 0x8a8580, level * Math.PI);
+    this.add(light);
+  }
+
+  // A grid of lights just below the ceiling, one per CEILING_LIGHT_SPACING
+  // meters each way; 'low' makes do with a single light
+  addCeilingLights() {
+    const { width, height, depth } = this.dimensions;
+    const columns = this.quality === 'low' ? 1 : Math.ceil(width / CEILING_LIGHT_SPACING);
+    const rows = this.quality === 'low' ? 1 : Math.ceil(depth / CEILING_LIGHT_SPACING);
+    const y = height / 2 - 0.5;
+
+    for (let column = 0; column < columns; column++) {
+      for (let row = 0; row < rows; row++) {
+        const light = new THREE.PointLight(WARM_WHITE, intensityFor(CEILING_LIGHT_LEVEL, height - 0.5), 0, 2);
+        light.position.set(
+          ((column + 0.5) / columns - 0.5) * width,
+          y,
+          ((row + 0.5) / rows - 0.5) * depth
+        );
+        this.add(light);
+      }
+    }
+  }
+
+  // Hang a spotlight in front of and above each painting, aimed at its
+  // center and wide enough for the painting and its additional images
+  addSpotlights(paintingManager) {
+    if (this.quality === 'low') return;
+
+    paintingManager.paintings.forEach(({ id, mesh }) => {
+      // Lighting can be rebuilt while a painting is lifted by a hover
+      const center = paintingManager.getRestingPosition(mesh);
+      const normal = new THREE.Vector3(0, 0, 1).applyQuaternion(mesh.quaternion);
+      const position = center.clone().addScaledVector(normal, SPOTLIGHT_DISTANCE);
+      position.y = Math.min(position.y + SPOTLIGHT_RISE, this.dimensions.height / 2 - 0.2);
+      const distance = position.distanceTo(center);
+
+      const composition = paintingManager.calculatePaintingCompositionSize(mesh);
+      const radius = Math.hypot(composition.width, composition.height) / 2;
+      const angle = Math.min(Math.atan(radius / distance), Math.PI / 3);
+
+      const light = new THREE.SpotLight(WARM_WHITE, intensityFor(SPOTLIGHT_LEVEL, distance), 0, angle, 0.5, 2);
+      light.position.copy(position);
+      light.target.position.copy(center);
+      light.shadow.mapSize.set(1024, 1024);
+      light.shadow.bias = -0.0005;
+      light.shadow.camera.near = 0.5;
+      light.shadow.camera.far = distance + 2;
+      light.castShadow = this.shadows;
+      this.add(light, light.target);
+
+      this.spotlights.set(id, { light, distance, level: SPOTLIGHT_LEVEL, target: SPOTLIGHT_LEVEL });
+    });
+  }
+
+  setFocusedPainting(paintingId) {
+    this.spotlights.forEach((spotlight, id) => {
+      spotlight.target = id === paintingId ? FOCUSED_SPOTLIGHT_LEVEL : SPOTLIGHT_LEVEL;
+    });
+  }
+
+  // Only the room the visitor is in casts shadows, and only on 'high'
+  setShadows(enabled) {
+    this.shadows = enabled && this.quality === 'high';
+    this.spotlights.forEach(({ light }) => {
+      light.castShadow = this.shadows;
+    });
+  }
+
+  // Fade spotlights towards their focus level; returns true while fading
+  update(delta) {
+    let changed = false;
+    const step = 1 - Math.exp(-SPOTLIGHT_FADE_RATE * delta);
+    this.spotlights.forEach(spotlight => {
+      if (spotlight.level === spotlight.target) return;
+      spotlight.level += (spotlight.target - spotlight.level) * step;
+      if (Math.abs(spotlight.target - spotlight.level) < 0.001) {
+        spotlight.level = spotlight.target;
+      }
+      spotlight.light.intensity = intensityFor(spotlight.level, spotlight.distance);
+      changed = true;
+    });
+    return changed;
+  }
+
+  add(...objects) {
+    this.lights.push(...objects);
+    this.group.add(...objects);
+  }
+
+  // Take the lights out of the room and release their shadow maps
+  dispose() {
+    this.spotlights.forEach(({ light }) => light.shadow.dispose());
+    this.spotlights.clear();
+    this.group.remove(...this.lights);
+    this.lights = [];
+  }
+}
@@ -1,10 +1,18 @@
 import * as THREE from "https://unpkg.com/three@0.176.0/build/three.module.js";
+import { debug } from './debug.js';
+import { createMissingImageTexture, createSurfaceMaterial } from './materials.js';
+import MarkdownText from './MarkdownText.js';
+import { highlight, TOKEN_COLORS } from './SyntaxHighlighter.js';
 
 export default class SubContentManager {
-  constructor(scene) {
+  constructor(scene, assetLoader, requestRender = () => {}) {
     this.scene = scene;
-    this.textureLoader = new THREE.TextureLoader();
+    this.assetLoader = assetLoader;
+    // Blocks finish one by one after the room is drawn, so each asks for a frame
+    this.requestRender = requestRender;
     this.subContentMeshes = new Map(); // Map<paintingId, Array<Mesh>>
+    this.disposed = false; // Set by dispose(); blocks still loading free themselves
+    this.focusedPaintingId = null; // Whose videos play, including ones still loading
     
     // Constants for layout
     this.BLOCK_PADDING = 0.1; // 10cm padding between blocks
@@ -14,6 +22,17 @@ export default class SubContentManager {
     this.IMAGE_HEIGHT = 1.5; // 1.5m height for images
     this.LINK_HEIGHT = 0.3; // 30cm height for links
     this.SIDE_OFFSET = 0.5; // 50cm offset from painting edge
+    this.CAROUSEL_INTERVAL = 4000; // 4s per carousel image by default
+    this.MISSING_IMAGE_ASPECT = 4 / 3; // Shape of the card for an image that failed
+    this.CANVAS_WIDTH = 512; // Canvas width in px for text-based blocks
+    this.PIXELS_PER_METER = this.CANVAS_WIDTH / this.BLOCK_WIDTH;
+    this.CANVAS_SCALE = 2; // Render text canvases at 2x for sharper text
+
+    // Markdown layout for text blocks, sized in canvas px
+    this.markdownText = new MarkdownText({
+      fontSize: 24,
+      lineHeight: Math.round(this.TEXT_LINE_HEIGHT * this.PIXELS_PER_METER)
+    });
   }
 
   async createSubContent(paintingId, subData, position, rotation) {
@@ -29,8 +48,8 @@ export default class SubContentManager {
 
     if (!painting) return;
 
-    // Calculate the painting's width
-    const paintingWidth = painting.geometry.parameters.width;
+    // Calculate the painting's width, including its frame
+    const paintingWidth = painting.geometry.parameters.width + (painting.userData.frameBorder || 0) * 2;
 
     // Calculate base position to the right of the painting
     let baseX = position.x;
@@ -46,35 +65,65 @@ export default class SubContentManager {
       case 0: // Front wall
         baseX = position.x + paintingWidth/2 + this.SIDE_OFFSET;
         break;
+      case Math.PI: // Back wall
+        baseX = position.x - paintingWidth/2 - this.SIDE_OFFSET;
+        break;
     }
 
+    // Registered up front so blocks count as they appear, e.g. for pausing
+    // a video that started before the rest had loaded
+    this.subContentMeshes.set(paintingId, meshes);
+
     for (const block of subData) {
       let mesh;
       switch (block.type) {
         case 'title':
           mesh = await this.createTitleBlock(block, baseX, currentY, baseZ, rotation);
-          currentY -= this.TITLE_HEIGHT + this.BLOCK_PADDING;
           break;
         case 'text':
           mesh = await this.createTextBlock(block, baseX, currentY, baseZ, rotation);
-          currentY -= (this.calculateTextHeight(block.text) + this.BLOCK_PADDING);
           break;
         case 'image':
           mesh = await this.createImageBlock(block, baseX, currentY, baseZ, rotation);
-          currentY -= (this.IMAGE_HEIGHT + this.BLOCK_PADDING);
           break;
         case 'link':
           mesh = await this.createLinkBlock(block, baseX, currentY, baseZ, rotation);
-          currentY -= (this.LINK_HEIGHT + this.BLOCK_PADDING);
           break;
+        case 'code':
+          mesh = await this.createCodeBlock(block, baseX, currentY, baseZ, rotation);
+          break;
+        case 'list':
+          mesh = await this.createListBlock(block, baseX, currentY, baseZ, rotation);
+          break;
+        case 'video':
+          mesh = await this.createVideoBlock(block, baseX, currentY, baseZ, rotation);
+          break;
+        case 'carousel':
+          mesh = await this.createCarouselBlock(block, baseX, currentY, baseZ, rotation);
+          break;
+        default:
+          debug.warn('SubContentManager: Unknown sub-content block type:', block.type);
+          break;
+      }
+      // The room was unloaded while this block loaded; the blocks before it
+      // went with the others
+      if (this.disposed) {
+        if (mesh) this.disposeBlock(mesh);
+        return;
       }
       if (mesh) {
+        mesh.userData.paintingId = paintingId; // For telling which painting a clicked link belongs to
         this.scene.add(mesh);
+        this.requestRender();
         meshes.push(mesh);
+        // The painting may have been focused before its video was ready
+        if (mesh.userData.type === 'video' && paintingId === this.focusedPaintingId) {
+          this.playVideo(mesh.userData.video);
+        }
+        // Blocks are top-aligned at currentY, so move down by the real block height
+        currentY -= this.getBlockHeight(mesh) + this.BLOCK_PADDING;
       }
     }
-
-    this.subContentMeshes.set(paintingId, meshes);
   }
 
   createTitleBlock(block, x, y, z, rotation) {
@@ -92,8 +141,7 @@ export default class SubContentManager {
     ctx.fillText(block.text, 10, canvas.height/2);
 
     const texture = new THREE.CanvasTexture(canvas);
-    const material = new THREE.MeshBasicMaterial({ 
-      map: texture,
+    const material = createSurfaceMaterial(texture, {
       transparent: true,
       side: THREE.DoubleSide
     });
@@ -104,41 +152,111 @@ export default class SubContentManager {
   }
 
   createTextBlock(block, x, y, z, rotation) {
-    const height = this.calculateTextHeight(block.text);
-    const geometry = new THREE.PlaneGeometry(this.BLOCK_WIDTH, height);
-    const canvas = document.createElement('canvas');
+    return this.createMarkdownBlock(block.text, x, y, z, rotation);
+  }
+
+  createListBlock(block, x, y, z, rotation) {
+    // Lists go through the markdown renderer so items keep inline formatting
+    const markdown = block.items
+      .map((item, index) => (block.ordered ? `${index + 1}. ${item}` : `- ${item}`))
+      .join('\n');
+    return this.createMarkdownBlock(markdown, x, y, z, rotation);
+  }
+
+  createMarkdownBlock(text, x, y, z, rotation) {
+    // Lay out the markdown first so the block is exactly as tall as its text
+    const layout = this.markdownText.layout(text, this.CANVAS_WIDTH);
+    const height = layout.height / this.PIXELS_PER_METER;
+
+    const canvas = this.createScaledCanvas(layout.height);
+    this.markdownText.draw(canvas.getContext('2d'), layout);
+
+    return this.createCanvasMesh(canvas, height, x, y, z, rotation);
+  }
+
+  createCodeBlock(block, x, y, z, rotation) {
+    const FONT_SIZE = 18;
+    const LINE_HEIGHT = 26;
+    const PADDING = 14;
+    const LABEL_HEIGHT = 28;
+    const font = `${FONT_SIZE}px monospace`;
+
+    // Monospace, so wrapping can work in whole characters
+    const measureCtx = this.markdownText.measureContext;
+    measureCtx.font = font;
+    const charWidth = measureCtx.measureText('M').width;
+    const maxChars = Math.max(1, Math.floor((this.CANVAS_WIDTH - PADDING * 2) / charWidth));
+
+    const code = block.code.replace(/\t/g, '  ').replace(/\s+$/, '');
+    const lines = [];
+    highlight(code, block.language).forEach(tokens => {
+      let line = [];
+      let column = 0;
+      tokens.forEach(token => {
+        let text = token.text;
+        while (column + text.length > maxChars) {
+          const fit = maxChars - column;
+          line.push({ text: text.slice(0, fit), type: token.type });
+          lines.push(line);
+          line = [];
+          column = 0;
+          text = text.slice(fit);
+        }
+        if (text) {
+          line.push({ text, type: token.type });
+          column += text.length;
+        }
+      });
+      lines.push(line);
+    });
+
+    const heightPx = LABEL_HEIGHT + lines.length * LINE_HEIGHT + PADDING * 2;
+    const canvas = this.createScaledCanvas(heightPx);
     const ctx = canvas.getContext('2d');
-    canvas.width = 512;
-    canvas.height = Math.ceil(height * 256);
 
-    // Style the text
-    ctx.fillStyle = '#ffffff';
-    ctx.font = '24px Arial';
-    ctx.textAlign = 'left';
-    
-    // Word wrap the text
-    const words = block.text.split(' ');
-    let line = '';
-    let lineY = 40;
-    const maxWidth = canvas.width - 20;
-
-    for (let word of words) {
-      const testLine = line + word + ' ';
-      const metrics = ctx.measureText(testLine);
-      
-      if (metrics.width > maxWidth) {
-        ctx.fillText(line, 10, lineY);
-        line = word + ' ';
-        lineY += 36;
-      } else {
-        line = testLine;
-      }
+    // Background and language label
+    ctx.fillStyle = '#1e1e1e';
+    ctx.fillRect(0, 0, this.CANVAS_WIDTH, heightPx);
+    ctx.fillStyle = '#2d2d2d';
+    ctx.fillRect(0, 0, this.CANVAS_WIDTH, LABEL_HEIGHT);
+    if (block.language) {
+      ctx.fillStyle = '#9d9d9d';
+      ctx.font = '14px Arial';
+      ctx.textAlign = 'right';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(block.language.toUpperCase(), this.CANVAS_WIDTH - PADDING, LABEL_HEIGHT / 2);
     }
-    ctx.fillText(line, 10, lineY);
 
+    // Highlighted code
+    ctx.font = font;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    lines.forEach((line, lineIndex) => {
+      let column = 0;
+      const lineY = LABEL_HEIGHT + PADDING + lineIndex * LINE_HEIGHT;
+      line.forEach(token => {
+        ctx.fillStyle = TOKEN_COLORS[token.type];
+        ctx.fillText(token.text, PADDING + column * charWidth, lineY);
+        column += token.text.length;
+      });
+    });
+
+    return this.createCanvasMesh(canvas, heightPx / this.PIXELS_PER_METER, x, y, z, rotation);
+  }
+
+  // Canvas sized in layout px and rendered at CANVAS_SCALE for sharp text
+  createScaledCanvas(heightPx) {
+    const canvas = document.createElement('canvas');
+    canvas.width = this.CANVAS_WIDTH * this.CANVAS_SCALE;
+    canvas.height = Math.ceil(heightPx * this.CANVAS_SCALE);
+    canvas.getContext('2d').scale(this.CANVAS_SCALE, this.CANVAS_SCALE);
+    return canvas;
+  }
+
+  createCanvasMesh(canvas, height, x, y, z, rotation) {
+    const geometry = new THREE.PlaneGeometry(this.BLOCK_WIDTH, height);
     const texture = new THREE.CanvasTexture(canvas);
-    const material = new THREE.MeshBasicMaterial({ 
-      map: texture,
+    const material = createSurfaceMaterial(texture, {
       transparent: true,
       side: THREE.DoubleSide
     });
@@ -149,42 +267,110 @@ export default class SubContentManager {
   }
 
   async createImageBlock(block, x, y, z, rotation) {
+    const texture = await this.loadTexture(block.image);
+
+    const { width, height } = this.fitImageSize(texture.image.width / texture.image.height);
+
+    const geometry = new THREE.PlaneGeometry(width, height);
+    const material = createSurfaceMaterial(texture, {
+      side: THREE.DoubleSide
+    });
+
+    const mesh = new THREE.Mesh(geometry, material);
+    this.positionBlock(mesh, x, y, z, rotation);
+    return mesh;
+  }
+
+  createVideoBlock(block, x, y, z, rotation) {
     return new Promise((resolve) => {
-      this.textureLoader.load(block.image, (texture) => {
-        const aspectRatio = texture.image.width / texture.image.height;
-        const width = Math.min(this.BLOCK_WIDTH, this.IMAGE_HEIGHT * aspectRatio);
-        const height = width / aspectRatio;
+      const video = document.createElement('video');
+      video.crossOrigin = 'anonymous';
+      video.muted = true;
+      video.loop = true;
+      video.playsInline = true;
+      video.preload = 'auto';
+      if (block.poster) video.poster = block.poster;
+
+      video.addEventListener('loadedmetadata', () => {
+        const { width, height } = this.fitImageSize(video.videoWidth / video.videoHeight);
 
         const geometry = new THREE.PlaneGeometry(width, height);
-        const material = new THREE.MeshBasicMaterial({ 
-          map: texture,
+        const material = createSurfaceMaterial(new THREE.VideoTexture(video), {
           side: THREE.DoubleSide
         });
 
         const mesh = new THREE.Mesh(geometry, material);
+        // Playback is started by setFocusedPainting
+        mesh.userData = { type: 'video', video };
         this.positionBlock(mesh, x, y, z, rotation);
         resolve(mesh);
-      });
+      }, { once: true });
+
+      video.addEventListener('error', () => {
+        debug.error('SubContentManager: Failed to load video:', block.video);
+        resolve(null);
+      }, { once: true });
+
+      video.src = block.video;
+    });
+  }
+
+  async createCarouselBlock(block, x, y, z, rotation) {
+    const textures = await Promise.all(block.images.map(url => this.loadTexture(url)));
+    if (textures.length === 0) return null;
+
+    // The frame fits the largest image; each slide is scaled down inside it
+    const sizes = textures.map(texture => this.fitImageSize(texture.image.width / texture.image.height));
+    const frameWidth = Math.max(...sizes.map(size => size.width));
+    const frameHeight = Math.max(...sizes.map(size => size.height));
+
+    const geometry = new THREE.PlaneGeometry(frameWidth, frameHeight);
+    const material = createSurfaceMaterial(textures[0], {
+      side: THREE.DoubleSide
     });
+
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.userData = {
+      type: 'carousel',
+      textures,
+      sizes,
+      index: 0,
+      interval: block.interval || this.CAROUSEL_INTERVAL,
+      lastSwitch: performance.now(),
+      top: y
+    };
+
+    this.positionBlock(mesh, x, y, z, rotation);
+    this.showCarouselSlide(mesh, 0);
+    return mesh;
   }
 
-  createLinkBlock(block, x, y, z, rotation) {
+  showCarouselSlide(mesh, index) {
+    const { textures, sizes, top } = mesh.userData;
+    const { width: frameWidth, height: frameHeight } = mesh.geometry.parameters;
+    const size = sizes[index];
+
+    mesh.userData.index = index;
+    mesh.material.map = textures[index];
+    mesh.material.needsUpdate = true;
+
+    // Keep the slide's top edge aligned with the block's top edge
+    mesh.scale.set(size.width / frameWidth, size.height / frameHeight, 1);
+    mesh.position.y = top - size.height / 2;
+  }
+
+  async createLinkBlock(block, x, y, z, rotation) {
     const geometry = new THREE.PlaneGeometry(this.BLOCK_WIDTH, this.LINK_HEIGHT);
     const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
     canvas.width = 512;
     canvas.height = 64;
 
-    // Style the link
-    ctx.fillStyle = '#0077ff';
-    ctx.font = '32px Arial';
-    ctx.textAlign = 'left';
-    ctx.textBaseline = 'middle';
-    ctx.fillText(block.text, 10, canvas.height/2);
+    // Load the icon up front so the first draw already includes it
+    const icon = block.icon ? await this.loadImage(block.icon) : null;
+    this.drawLinkBlock(canvas, block.text, icon, false);
 
     const texture = new THREE.CanvasTexture(canvas);
-    const material = new THREE.MeshBasicMaterial({ 
-      map: texture,
+    const material = createSurfaceMaterial(texture, {
       transparent: true,
       side: THREE.DoubleSide
     });
@@ -192,13 +378,74 @@ export default class SubContentManager {
     const mesh = new THREE.Mesh(geometry, material);
     mesh.userData = {
       type: 'link',
-      url: block.url
+      url: block.url,
+      text: block.text,
+      icon,
+      hovered: false
     };
     
     this.positionBlock(mesh, x, y, z, rotation);
     return mesh;
   }
 
+  drawLinkBlock(canvas, text, icon, hovered) {
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    // Hover background
+    if (hovered) {
+      ctx.fillStyle = 'rgba(0, 119, 255, 0.2)';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+
+    // Icon is drawn as a square on the left, text follows it
+    let textX = 10;
+    if (icon) {
+      const iconSize = canvas.height - 16;
+      ctx.drawImage(icon, 10, 8, iconSize, iconSize);
+      textX += iconSize + 12;
+    }
+
+    // Style the link
+    ctx.fillStyle = hovered ? '#66b3ff' : '#0077ff';
+    ctx.font = '32px Arial';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, textX, canvas.height/2);
+
+    // Underline on hover
+    if (hovered) {
+      const textWidth = ctx.measureText(text).width;
+      ctx.fillRect(textX, canvas.height/2 + 16, textWidth, 2);
+    }
+  }
+
+  setLinkHovered(mesh, hovered) {
+    if (!mesh || mesh.userData.type !== 'link' || mesh.userData.hovered === hovered) return;
+
+    mesh.userData.hovered = hovered;
+    const texture = mesh.material.map;
+    this.drawLinkBlock(texture.image, mesh.userData.text, mesh.userData.icon, hovered);
+    texture.needsUpdate = true;
+  }
+
+  // Resolves with null on error so a broken icon doesn't block the link
+  loadImage(url) {
+    return this.assetLoader.loadImage(url);
+  }
+
+  getLinkMeshes() {
+    const links = [];
+    this.subContentMeshes.forEach(meshes => {
+      meshes.forEach(mesh => {
+        if (mesh.userData.type === 'link') {
+          links.push(mesh);
+        }
+      });
+    });
+    return links;
+  }
+
   positionBlock(mesh, x, y, z, rotation) {
     // Adjust position to account for mesh width for proper left alignment
     const width = mesh.geometry.parameters.width;
@@ -217,28 +464,98 @@ export default class SubContentManager {
         break;
     }
 
-    mesh.position.set(adjustedX, y, adjustedZ);
+    // y is the top edge of the block so blocks of any height stack cleanly
+    const height = mesh.geometry.parameters.height;
+    mesh.position.set(adjustedX, y - height/2, adjustedZ);
     mesh.rotation.y = rotation;
   }
 
-  calculateTextHeight(text) {
-    const CHARS_PER_LINE = 40;
-    const lines = Math.ceil(text.length / CHARS_PER_LINE);
-    return lines * this.TEXT_LINE_HEIGHT;
+  // Size an image-like block to fit within BLOCK_WIDTH x IMAGE_HEIGHT
+  fitImageSize(aspectRatio) {
+    const width = Math.min(this.BLOCK_WIDTH, this.IMAGE_HEIGHT * aspectRatio);
+    return { width, height: width / aspectRatio };
   }
 
-  removeSubContent(paintingId) {
-    const meshes = this.subContentMeshes.get(paintingId);
-    if (meshes) {
+  getBlockHeight(mesh) {
+    return mesh.geometry.parameters.height;
+  }
+
+  // An image that fails to load becomes the "Image unavailable" card, so
+  // its block keeps its place and shows that something is missing
+  async loadTexture(url) {
+    const texture = await this.assetLoader.loadTexture(url);
+    if (!texture) return createMissingImageTexture(this.MISSING_IMAGE_ASPECT);
+    // Carousel slides are swapped into an existing material, so they need
+    // their color space set here
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+  }
+
+  // Only the focused painting's videos play; everything else is paused
+  setFocusedPainting(paintingId) {
+    this.focusedPaintingId = paintingId;
+    this.subContentMeshes.forEach((meshes, id) => {
+      meshes.forEach(mesh => {
+        if (mesh.userData.type !== 'video') return;
+        const video = mesh.userData.video;
+        if (id === paintingId) {
+          this.playVideo(video);
+        } else {
+          video.pause();
+        }
+      });
+    });
+  }
+
+  playVideo(video) {
+    video.play().catch(error => debug.warn('SubContentManager: Video playback failed:', error));
+  }
+
+  // Advance animated blocks; returns true if anything changed this frame
+  update(time) {
+    let changed = false;
+    this.subContentMeshes.forEach(meshes => {
       meshes.forEach(mesh => {
-        this.scene.remove(mesh);
-        mesh.geometry.dispose();
-        if (mesh.material.map) {
-          mesh.material.map.dispose();
+        const data = mesh.userData;
+        if (data.type === 'carousel' && data.textures.length > 1 && time - data.lastSwitch >= data.interval) {
+          this.showCarouselSlide(mesh, (data.index + 1) % data.textures.length);
+          data.lastSwitch = time;
+          changed = true;
+        } else if (data.type === 'video' && !data.video.paused) {
+          changed = true;
         }
-        mesh.material.dispose();
       });
+    });
+    return changed;
+  }
+
+  removeSubContent(paintingId) {
+    const meshes = this.subContentMeshes.get(paintingId);
+    if (meshes) {
+      meshes.forEach(mesh => this.disposeBlock(mesh));
       this.subContentMeshes.delete(paintingId);
     }
   }
-} 
\ No newline at end of file
+
+  // Remove every block, including those of paintings still being hung
+  dispose() {
+    this.disposed = true;
+    [...this.subContentMeshes.keys()].forEach(paintingId => this.removeSubContent(paintingId));
+  }
+
+  disposeBlock(mesh) {
+    this.scene.remove(mesh);
+    mesh.geometry.dispose();
+    if (mesh.userData.type === 'carousel') {
+      mesh.userData.textures.forEach(texture => texture.dispose());
+    } else if (mesh.material.map) {
+      mesh.material.map.dispose();
+    }
+    if (mesh.userData.type === 'video') {
+      mesh.userData.video.pause();
+      mesh.userData.video.removeAttribute('src');
+      mesh.userData.video.load();
+    }
+    mesh.material.dispose();
+  }
+}
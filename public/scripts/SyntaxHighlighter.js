@@ -0,0 +1,119 @@
+// Lightweight regex-based highlighter for code sub-content blocks.
+// It only distinguishes comments, strings, numbers and keywords, which is
+// enough for short snippets drawn onto a canvas.
+
+const JS_KEYWORDS = [
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue',
+  'default', 'delete', 'do', 'else', 'export', 'extends', 'false', 'finally',
+  'for', 'from', 'function', 'if', 'import', 'in', 'instanceof', 'let', 'new',
+  'null', 'of', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true',
+  'try', 'typeof', 'undefined', 'var', 'void', 'while', 'yield'
+];
+
+const TS_KEYWORDS = [
+  ...JS_KEYWORDS, 'enum', 'implements', 'interface', 'keyof', 'namespace',
+  'private', 'protected', 'public', 'readonly', 'type'
+];
+
+const LANGUAGES = {
+  javascript: { keywords: JS_KEYWORDS, lineComment: '//', blockComment: true },
+  typescript: { keywords: TS_KEYWORDS, lineComment: '//', blockComment: true },
+  python: {
+    keywords: [
+      'and', 'as', 'async', 'await', 'break', 'class', 'continue', 'def', 'del',
+      'elif', 'else', 'except', 'False', 'finally', 'for', 'from', 'global', 'if',
+      'import', 'in', 'is', 'lambda', 'None', 'not', 'or', 'pass', 'raise',
+      'return', 'self', 'True', 'try', 'while', 'with', 'yield'
+    ],
+    lineComment: '#'
+  },
+  bash: {
+    keywords: [
+      'case', 'do', 'done', 'elif', 'else', 'esac', 'export', 'fi', 'for',
+      'function', 'if', 'in', 'local', 'return', 'then', 'until', 'while'
+    ],
+    lineComment: '#'
+  },
+  json: { keywords: ['true', 'false', 'null'] },
+  css: { keywords: ['important', 'inherit', 'initial', 'none', 'auto'], blockComment: true },
+  plain: { keywords: [] }
+};
+
+const ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  py: 'python',
+  sh: 'bash',
+  shell: 'bash',
+  zsh: 'bash',
+  text: 'plain',
+  txt: 'plain'
+};
+
+// Colours per token type (dark background)
+export const TOKEN_COLORS = {
+  comment: '#6a9955',
+  string: '#ce9178',
+  number: '#b5cea8',
+  keyword: '#569cd6',
+  text: '#d4d4d4'
+};
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function buildPattern(language) {
+  const parts = [];
+  if (language.blockComment) parts.push('(?<comment>\\/\\*[\\s\\S]*?(?:\\*\\/|$))');
+  if (language.lineComment) parts.push(`(?<lineComment>${escapeRegExp(language.lineComment)}[^\\n]*)`);
+  parts.push('(?<string>"(?:[^"\\\\\\n]|\\\\.)*"?|\'(?:[^\'\\\\\\n]|\\\\.)*\'?|`(?:[^`\\\\]|\\\\.)*`?)');
+  parts.push('(?<number>\\b\\d+(?:\\.\\d+)?\\b)');
+  if (language.keywords.length > 0) {
+    parts.push(`(?<keyword>\\b(?:${language.keywords.map(escapeRegExp).join('|')})\\b)`);
+  }
+  return new RegExp(parts.join('|'), 'g');
+}
+
+export function resolveLanguage(name) {
+  const key = (name || 'plain').toLowerCase();
+  const resolved = ALIASES[key] || key;
+  return LANGUAGES[resolved] ? resolved : 'plain';
+}
+
+// Returns an array of lines, each an array of { text, type } tokens
+export function highlight(code, languageName) {
+  const language = LANGUAGES[resolveLanguage(languageName)];
+  const pattern = buildPattern(language);
+  const tokens = [];
+  let lastIndex = 0;
+
+  for (const match of code.matchAll(pattern)) {
+    if (match.index > lastIndex) {
+      tokens.push({ text: code.slice(lastIndex, match.index), type: 'text' });
+    }
+    const groups = match.groups;
+    const type = groups.comment || groups.lineComment ? 'comment'
+      : groups.string ? 'string'
+      : groups.number ? 'number'
+      : 'keyword';
+    tokens.push({ text: match[0], type });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < code.length) {
+    tokens.push({ text: code.slice(lastIndex), type: 'text' });
+  }
+
+  // Split tokens on newlines so multi-line comments and strings keep their colour
+  const lines = [[]];
+  tokens.forEach(token => {
+    token.text.split('\n').forEach((part, index) => {
+      if (index > 0) lines.push([]);
+      if (part) lines[lines.length - 1].push({ text: part, type: token.type });
+    });
+  });
+  return lines;
+}
@@ -0,0 +1,279 @@
+import * as THREE from "https://unpkg.com/three@0.176.0/build/three.module.js";
+
+// Keys that move or turn while walking, by KeyboardEvent.code
+const MOVE_KEYS = {
+  KeyW: 'forward',
+  ArrowUp: 'forward',
+  KeyS: 'backward',
+  ArrowDown: 'backward',
+  KeyA: 'left',
+  KeyD: 'right',
+  ArrowLeft: 'turnLeft',
+  ArrowRight: 'turnRight'
+};
+
+// On-screen buttons for touch devices: [action, label, symbol]
+const TOUCH_BUTTONS = [
+  ['turnLeft', 'Turn left', '⟲'],
+  ['forward', 'Walk forward', '▲'],
+  ['turnRight', 'Turn right', '⟳'],
+  ['left', 'Step left', '◀'],
+  ['backward', 'Walk backward', '▼'],
+  ['right', 'Step right', '▶']
+];
+
+// First-person input for walk mode: WASD or arrow keys, mouse look through
+// pointer lock, and drag-to-look plus on-screen buttons on touch devices.
+// Room3D owns the camera position and decides where the visitor may go.
+export default class WalkControls {
+  constructor(camera, domElement, container, options = {}) {
+    this.camera = camera;
+    this.domElement = domElement;
+    this.container = container;
+    this.onFocusRequest = options.onFocusRequest || null;
+    this.onExitRequest = options.onExitRequest || null;
+
+    this.WALK_SPEED = 3; // meters per second
+    this.TURN_SPEED = 1.8; // radians per second for keys and buttons
+    this.LOOK_SENSITIVITY = 0.002; // radians per pixel of mouse movement
+    this.TOUCH_LOOK_SENSITIVITY = 0.005; // radians per pixel of finger movement
+    this.MAX_PITCH = Math.PI / 3;
+
+    this.enabled = false;
+    this.yaw = 0;
+    this.pitch = 0;
+    this.actions = new Set();
+    this.touchLook = null; // { pointerId, x, y } while a finger drags the view
+    this.euler = new THREE.Euler(0, 0, 0, 'YXZ');
+    this.useTouchControls = window.matchMedia('(pointer: coarse)').matches;
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+    this.handleBlur = this.handleBlur.bind(this);
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handlePointerLockChange = this.handlePointerLockChange.bind(this);
+
+    this.crosshair = this.createCrosshair();
+    this.touchControls = this.createTouchControls();
+  }
+
+  // Start from wherever the camera is currently looking
+  enable() {
+    if (this.enabled) return;
+    this.enabled = true;
+
+    this.euler.setFromQuaternion(this.camera.quaternion);
+    this.yaw = this.euler.y;
+    this.pitch = this.euler.x;
+
+    this.domElement.addEventListener('keydown', this.handleKeyDown);
+    window.addEventListener('keyup', this.handleKeyUp);
+    window.addEventListener('blur', this.handleBlur);
+    document.addEventListener('mousemove', this.handleMouseMove);
+    document.addEventListener('pointerlockchange', this.handlePointerLockChange);
+    this.domElement.addEventListener('pointerdown', this.handlePointerDown);
+    this.domElement.addEventListener('pointermove', this.handlePointerMove);
+    this.domElement.addEventListener('pointerup', this.handlePointerUp);
+    this.domElement.addEventListener('pointercancel', this.handlePointerUp);
+
+    this.touchControls.style.display = this.useTouchControls ? 'grid' : 'none';
+  }
+
+  disable() {
+    if (!this.enabled) return;
+    this.enabled = false;
+
+    this.domElement.removeEventListener('keydown', this.handleKeyDown);
+    window.removeEventListener('keyup', this.handleKeyUp);
+    window.removeEventListener('blur', this.handleBlur);
+    document.removeEventListener('mousemove', this.handleMouseMove);
+    document.removeEventListener('pointerlockchange', this.handlePointerLockChange);
+    this.domElement.removeEventListener('pointerdown', this.handlePointerDown);
+    this.domElement.removeEventListener('pointermove', this.handlePointerMove);
+    this.domElement.removeEventListener('pointerup', this.handlePointerUp);
+    this.domElement.removeEventListener('pointercancel', this.handlePointerUp);
+
+    if (this.isPointerLocked()) document.exitPointerLock();
+    this.actions.clear();
+    this.touchLook = null;
+    this.touchControls.style.display = 'none';
+    this.crosshair.hidden = true;
+  }
+
+  isPointerLocked() {
+    return document.pointerLockElement === this.domElement;
+  }
+
+  lockPointer() {
+    if (!this.enabled || this.isPointerLocked() || !this.domElement.requestPointerLock) return;
+    // Some browsers return a promise that rejects when the lock is refused
+    const request = this.domElement.requestPointerLock();
+    if (request && request.catch) request.catch(() => {});
+  }
+
+  handleKeyDown(e) {
+    if (e.altKey || e.ctrlKey || e.metaKey) return;
+
+    if (MOVE_KEYS[e.code]) {
+      this.actions.add(MOVE_KEYS[e.code]);
+    } else if (e.code === 'KeyF' || e.key === 'Enter') {
+      if (this.onFocusRequest) this.onFocusRequest();
+    } else if (e.key === 'Escape') {
+      if (this.onExitRequest) this.onExitRequest();
+    } else {
+      return;
+    }
+    e.preventDefault();
+  }
+
+  handleKeyUp(e) {
+    if (MOVE_KEYS[e.code]) this.actions.delete(MOVE_KEYS[e.code]);
+  }
+
+  // Keys released while the window is in the background never send keyup
+  handleBlur() {
+    this.actions.clear();
+  }
+
+  handleMouseMove(e) {
+    if (!this.isPointerLocked()) return;
+    this.look(e.movementX * this.LOOK_SENSITIVITY, e.movementY * this.LOOK_SENSITIVITY);
+  }
+
+  handlePointerDown(e) {
+    if (e.pointerType !== 'touch' || this.touchLook) return;
+    this.touchLook = { pointerId: e.pointerId, x: e.clientX, y: e.clientY };
+  }
+
+  handlePointerMove(e) {
+    if (!this.touchLook || e.pointerId !== this.touchLook.pointerId) return;
+    this.look(
+      (e.clientX - this.touchLook.x) * this.TOUCH_LOOK_SENSITIVITY,
+      (e.clientY - this.touchLook.y) * this.TOUCH_LOOK_SENSITIVITY
+    );
+    this.touchLook.x = e.clientX;
+    this.touchLook.y = e.clientY;
+  }
+
+  handlePointerUp(e) {
+    if (this.touchLook && e.pointerId === this.touchLook.pointerId) {
+      this.touchLook = null;
+    }
+  }
+
+  handlePointerLockChange() {
+    this.crosshair.hidden = !this.isPointerLocked();
+  }
+
+  look(deltaYaw, deltaPitch) {
+    this.yaw -= deltaYaw;
+    this.pitch = THREE.MathUtils.clamp(this.pitch - deltaPitch, -this.MAX_PITCH, this.MAX_PITCH);
+  }
+
+  // Move the camera for one frame. constrain() receives the wanted position
+  // and returns the position the visitor may actually stand at.
+  update(delta, constrain) {
+    const turn = (this.actions.has('turnLeft') ? 1 : 0) - (this.actions.has('turnRight') ? 1 : 0);
+    this.yaw += turn * this.TURN_SPEED * delta;
+
+    const forward = (this.actions.has('forward') ? 1 : 0) - (this.actions.has('backward') ? 1 : 0);
+    const strafe = (this.actions.has('right') ? 1 : 0) - (this.actions.has('left') ? 1 : 0);
+    if (forward !== 0 || strafe !== 0) {
+      // Movement stays on the floor plane whatever the pitch
+      const move = new THREE.Vector3(
+        -Math.sin(this.yaw) * forward + Math.cos(this.yaw) * strafe,
+        0,
+        -Math.cos(this.yaw) * forward - Math.sin(this.yaw) * strafe
+      ).normalize().multiplyScalar(this.WALK_SPEED * delta);
+      this.camera.position.copy(constrain(this.camera.position.clone().add(move)));
+    }
+
+    this.euler.set(this.pitch, this.yaw, 0);
+    this.camera.quaternion.setFromEuler(this.euler);
+  }
+
+  createCrosshair() {
+    const crosshair = document.createElement('div');
+    crosshair.className = 'walk-crosshair';
+    crosshair.hidden = true;
+    crosshair.style.cssText = [
+      'position: absolute',
+      'top: 50%',
+      'left: 50%',
+      'width: 6px',
+      'height: 6px',
+      'margin: -3px 0 0 -3px',
+      'border-radius: 50%',
+      'background: rgba(255, 255, 255, 0.8)',
+      'pointer-events: none',
+      'z-index: 1'
+    ].join(';');
+    this.container.appendChild(crosshair);
+    return crosshair;
+  }
+
+  createTouchControls() {
+    const controls = document.createElement('div');
+    controls.className = 'walk-touch-controls';
+    controls.style.cssText = [
+      'display: none',
+      'position: absolute',
+      'left: 1rem',
+      'bottom: 7rem',
+      'grid-template-columns: repeat(3, 3rem)',
+      'gap: 0.5rem',
+      'z-index: 1'
+    ].join(';');
+
+    const buttonStyle = [
+      'width: 3rem',
+      'height: 3rem',
+      'border: 1px solid rgba(255, 255, 255, 0.4)',
+      'border-radius: 50%',
+      'background: rgba(0, 0, 0, 0.6)',
+      'color: #fff',
+      'font-size: 1.25rem',
+      'touch-action: none',
+      'user-select: none'
+    ].join(';');
+
+    TOUCH_BUTTONS.forEach(([action, label, symbol]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = symbol;
+      button.setAttribute('aria-label', label);
+      button.style.cssText = buttonStyle;
+
+      // Held buttons keep moving until the finger lifts or slides off
+      button.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        this.actions.add(action);
+      });
+      ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+        button.addEventListener(type, () => this.actions.delete(action));
+      });
+      controls.appendChild(button);
+    });
+
+    const focusButton = document.createElement('button');
+    focusButton.type = 'button';
+    focusButton.textContent = 'Focus';
+    focusButton.style.cssText = `${buttonStyle};grid-column: 1 / -1;width: auto;border-radius: 1.5rem;font-size: 1rem`;
+    focusButton.addEventListener('click', () => {
+      if (this.onFocusRequest) this.onFocusRequest();
+    });
+    controls.appendChild(focusButton);
+
+    this.container.appendChild(controls);
+    return controls;
+  }
+
+  destroy() {
+    this.disable();
+    this.crosshair.remove();
+    this.touchControls.remove();
+  }
+}
@@ -0,0 +1,116 @@
+import * as THREE from "https://unpkg.com/three@0.176.0/build/three.module.js";
+import { createSurfaceMaterial } from './materials.js';
+
+// Moulding face width, depth off the wall and default colour per style, in
+// meters. 'float' leaves a dark reveal between the painting and the moulding;
+// 'none' hangs the painting bare, or on just its mat.
+export const FRAME_STYLES = {
+  none: { width: 0, depth: 0, color: '#000000', reveal: 0, bevel: 0 },
+  thin: { width: 0.03, depth: 0.04, color: '#1c1c1c', reveal: 0, bevel: 0 },
+  classic: { width: 0.1, depth: 0.07, color: '#8a6a3f', reveal: 0, bevel: 0.015 },
+  float: { width: 0.02, depth: 0.05, color: '#1c1c1c', reveal: 0.03, bevel: 0 }
+};
+
+const MAT_COLOR = '#f3f0e8';
+const REVEAL_COLOR = '#141414';
+const WALL_GAP = 0.01; // Paintings hang 1cm off the wall; frames reach back to it
+
+// Additional images get the same frame as their painting, scaled down
+export const ADDITIONAL_IMAGE_FRAME_SCALE = 0.4;
+
+// Fill in a painting's frame config with its style's defaults
+export function resolveFrame(frame) {
+  if (!frame) return null;
+  const style = FRAME_STYLES[frame.style || 'thin'];
+  return {
+    width: style.width,
+    depth: frame.depth ?? style.depth,
+    color: frame.color || style.color,
+    reveal: style.reveal,
+    bevel: style.bevel,
+    mat: frame.mat ?? 0
+  };
+}
+
+// How far the frame reaches past each edge of the picture
+export function getFrameBorder(frame, scale = 1) {
+  if (!frame) return 0;
+  return (frame.width + frame.reveal + frame.mat) * scale;
+}
+
+// Meshes for the mat, reveal and moulding around a width x height picture,
+// in the picture's own coordinates so they can be added as its children
+export function createFrameMeshes(width, height, frame, scale = 1) {
+  const meshes = [];
+  const mat = frame.mat * scale;
+  const reveal = frame.reveal * scale;
+
+  if (reveal > 0) {
+    meshes.push(createBoard(width + (mat + reveal) * 2, height + (mat + reveal) * 2, REVEAL_COLOR, -0.008));
+  }
+  if (mat > 0) {
+    meshes.push(createBoard(width + mat * 2, height + mat * 2, MAT_COLOR, -0.005));
+  }
+  if (frame.width > 0) {
+    meshes.push(createMoulding(
+      width + (mat + reveal) * 2,
+      height + (mat + reveal) * 2,
+      frame.width * scale,
+      frame.depth,
+      frame.bevel * scale,
+      frame.color
+    ));
+  }
+
+  meshes.forEach(mesh => {
+    mesh.userData.isFrame = true;
+  });
+  return meshes;
+}
+
+// Flat board behind the picture, slightly larger than it
+function createBoard(width, height, color, z) {
+  const mesh = new THREE.Mesh(
+    new THREE.PlaneGeometry(width, height),
+    createSurfaceMaterial(null, { color })
+  );
+  mesh.position.z = z;
+  mesh.receiveShadow = true;
+  return mesh;
+}
+
+// A rectangular ring around the opening, extruded from the wall outwards.
+// The bevel grows the outline, so the shape is drawn that much smaller.
+function createMoulding(innerWidth, innerHeight, faceWidth, depth, bevel, color) {
+  const outerX = innerWidth / 2 + faceWidth - bevel;
+  const outerY = innerHeight / 2 + faceWidth - bevel;
+  const innerX = innerWidth / 2 + bevel;
+  const innerY = innerHeight / 2 + bevel;
+
+  const shape = new THREE.Shape()
+    .moveTo(-outerX, -outerY)
+    .lineTo(outerX, -outerY)
+    .lineTo(outerX, outerY)
+    .lineTo(-outerX, outerY)
+    .lineTo(-outerX, -outerY);
+  shape.holes.push(new THREE.Path()
+    .moveTo(-innerX, -innerY)
+    .lineTo(-innerX, innerY)
+    .lineTo(innerX, innerY)
+    .lineTo(innerX, -innerY)
+    .lineTo(-innerX, -innerY));
+
+  const geometry = new THREE.ExtrudeGeometry(shape, {
+    depth: depth - bevel * 2,
+    bevelEnabled: bevel > 0,
+    bevelThickness: bevel,
+    bevelSize: bevel,
+    bevelSegments: 2
+  });
+
+  const mesh = new THREE.Mesh(geometry, createSurfaceMaterial(null, { color, roughness: 0.6 }));
+  mesh.position.z = -WALL_GAP + bevel;
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+  return mesh;
+}
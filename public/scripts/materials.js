@@ -0,0 +1,54 @@
+import * as THREE from "https://unpkg.com/three@0.176.0/build/three.module.js";
+
+// Everything in the room is lit, so all surfaces share one physically based
+// material setup. Color maps hold sRGB colors; normal and roughness maps
+// hold plain data and keep the default color space.
+export function createSurfaceMaterial(map, options = {}) {
+  if (map) map.colorSpace = THREE.SRGBColorSpace;
+  return new THREE.MeshStandardMaterial({
+    map,
+    roughness: 0.9,
+    metalness: 0,
+    ...options
+  });
+}
+
+// Every texture a material holds, for disposal
+export function getMaterialTextures(material) {
+  return ['map', 'normalMap', 'roughnessMap']
+    .map(key => material[key])
+    .filter(Boolean);
+}
+
+// "Image unavailable" card standing in for an image that could not be
+// loaded, for paintings and sub-content alike
+export function createMissingImageTexture(aspectRatio) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 512;
+  canvas.height = Math.round(Math.min(1024, Math.max(128, 512 / aspectRatio)));
+  const ctx = canvas.getContext('2d');
+  const centerX = canvas.width / 2;
+  const centerY = canvas.height / 2;
+
+  ctx.fillStyle = '#3a3a3a';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  // A crossed-out picture icon above the message
+  ctx.strokeStyle = '#8a8a8a';
+  ctx.lineWidth = 6;
+  ctx.strokeRect(centerX - 48, centerY - 76, 96, 72);
+  ctx.beginPath();
+  ctx.moveTo(centerX - 60, centerY - 88);
+  ctx.lineTo(centerX + 60, centerY + 8);
+  ctx.stroke();
+
+  ctx.fillStyle = '#c8c8c8';
+  ctx.font = 'bold 32px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText('Image unavailable', centerX, centerY + 48);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  return texture;
+}
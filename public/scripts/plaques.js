@@ -0,0 +1,39 @@
+import * as THREE from "https://unpkg.com/three@0.176.0/build/three.module.js";
+import { createSurfaceMaterial } from './materials.js';
+import MarkdownText from './MarkdownText.js';
+
+const PLAQUE_WIDTH = 0.8; // meters
+const CANVAS_WIDTH = 384; // Canvas width in px
+const CANVAS_SCALE = 2; // Render at 2x for sharper text
+const PIXELS_PER_METER = CANVAS_WIDTH / PLAQUE_WIDTH;
+const BACKGROUND = '#f5f2eb';
+
+const plaqueText = new MarkdownText({
+  fontSize: 20,
+  lineHeight: 28,
+  paragraphSpacing: 8,
+  padding: 18,
+  color: '#2a2a2a'
+});
+
+// Museum label with the painting's title in bold above its description
+export function createPlaque(title, description) {
+  const text = description ? `**${title}**\n\n${description}` : `**${title}**`;
+  const layout = plaqueText.layout(text, CANVAS_WIDTH);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = CANVAS_WIDTH * CANVAS_SCALE;
+  canvas.height = Math.ceil(layout.height * CANVAS_SCALE);
+  const ctx = canvas.getContext('2d');
+  ctx.scale(CANVAS_SCALE, CANVAS_SCALE);
+  ctx.fillStyle = BACKGROUND;
+  ctx.fillRect(0, 0, CANVAS_WIDTH, layout.height);
+  plaqueText.draw(ctx, layout);
+
+  const mesh = new THREE.Mesh(
+    new THREE.PlaneGeometry(PLAQUE_WIDTH, layout.height / PIXELS_PER_METER),
+    createSurfaceMaterial(new THREE.CanvasTexture(canvas), { roughness: 0.6 })
+  );
+  mesh.userData.isPlaque = true;
+  return mesh;
+}
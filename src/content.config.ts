@@ -0,0 +1,177 @@
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { defineCollection, z } from 'astro:content';
+import { glob } from 'astro/loaders';
+
+// Image and video paths are site-absolute URLs served from public/, so check
+// that the file is actually there instead of letting the room load a broken texture
+const publicFile = (kind: string) =>
+  z
+    .string()
+    .startsWith('/', { message: `${kind} paths must start with "/" (relative to public/)` })
+    .refine((url) => existsSync(join(process.cwd(), 'public', url)), (url) => ({
+      message: `${kind} file not found: public${url}`,
+    }));
+
+const publicImage = () => publicFile('Image');
+const publicVideo = () => publicFile('Video');
+
+// Internal paths ("/about") or absolute external URLs
+const linkTarget = () =>
+  z.string().refine((url) => url.startsWith('/') || URL.canParse(url), (url) => ({
+    message: `Invalid link url "${url}": expected an internal path or an absolute URL`,
+  }));
+
+const subBlock = z.discriminatedUnion(
+  'type',
+  [
+    z.object({
+      type: z.literal('title'),
+      text: z.string().min(1),
+    }),
+    z.object({
+      type: z.literal('text'),
+      text: z.string().min(1),
+    }),
+    z.object({
+      type: z.literal('image'),
+      image: publicImage(),
+    }),
+    z.object({
+      type: z.literal('link'),
+      text: z.string().min(1),
+      url: linkTarget(),
+      icon: publicImage().optional(),
+    }),
+    z.object({
+      type: z.literal('code'),
+      code: z.string().min(1),
+      language: z.string().optional(),
+    }),
+    z.object({
+      type: z.literal('list'),
+      items: z.array(z.string().min(1)).min(1),
+      ordered: z.boolean().optional(),
+    }),
+    z.object({
+      type: z.literal('video'),
+      video: publicVideo(),
+      poster: publicImage().optional(),
+    }),
+    z.object({
+      type: z.literal('carousel'),
+      images: z.array(publicImage()).min(1),
+      // Milliseconds per image
+      interval: z.number().int().positive().optional(),
+    }),
+  ],
+  {
+    errorMap: (issue, ctx) =>
+      issue.code === 'invalid_union_discriminator'
+        ? { message: `Unknown sub block type. Expected one of: ${issue.options.join(', ')}` }
+        : { message: ctx.defaultError },
+  }
+);
+
+const slug = () =>
+  z
+    .string()
+    .regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slugs may only contain lowercase letters, digits and single dashes');
+
+// A room surface: an image, or an image with optional normal and roughness
+// maps for the lit materials
+const surface = () =>
+  z.union([
+    publicImage(),
+    z.object({
+      map: publicImage(),
+      normalMap: publicImage().optional(),
+      roughnessMap: publicImage().optional(),
+      roughness: z.number().min(0).max(1).optional(),
+    }),
+  ]);
+
+const rooms = defineCollection({
+  // Like paintings, the file name prefix sets the order rooms are connected in
+  loader: glob({
+    pattern: '**/*.json',
+    base: './src/content/rooms',
+    generateId: ({ entry }) => entry.replace(/\.json$/, ''),
+  }),
+  schema: z.object({
+    title: z.string().min(1),
+    slug: slug(),
+    description: z.string().optional(),
+    // Per-surface texture overrides; anything left out uses the default textures
+    textures: z
+      .object({
+        left: surface(),
+        right: surface(),
+        front: surface(),
+        back: surface(),
+        floor: surface(),
+        ceiling: surface(),
+      })
+      .partial()
+      .optional(),
+    useBackWall: z.boolean().optional(),
+  }),
+});
+
+const paintings = defineCollection({
+  // Entry ids come from the file name so that files can be prefixed
+  // (01-home.json, 02-about.json, ...) to control the order in the room
+  loader: glob({
+    pattern: '**/*.json',
+    base: './src/content/paintings',
+    generateId: ({ entry }) => entry.replace(/\.json$/, ''),
+  }),
+  schema: z.object({
+    url: publicImage(),
+    title: z.string().min(1),
+    slug: slug(),
+    // Slug of the room the painting hangs in; defaults to the first room
+    room: slug().optional(),
+    description: z.string(),
+    // Alt text for the main image; the title is used without one
+    alt: z.string().min(1).optional(),
+    // Additional images, as a path or as { url, alt } to give one alt text
+    images: z.array(z.union([publicImage(), z.object({ url: publicImage(), alt: z.string().min(1) })])).optional(),
+    sub: z.array(subBlock).optional(),
+    // Optional placement in the room; paintings without a wall are balanced
+    // across the walls, and a lower order comes first along its wall
+    wall: z.enum(['left', 'front', 'right', 'back']).optional(),
+    order: z.number().int().optional(),
+    // Picture frame around the painting and its additional images; without
+    // one the painting hangs bare
+    frame: z
+      .object({
+        style: z.enum(['none', 'thin', 'classic', 'float']).optional(),
+        color: z.string().regex(/^#[0-9a-fA-F]{6}$/, 'Frame colors must be hex colors like "#8a6a3f"').optional(),
+        // Meters the frame stands off the wall
+        depth: z.number().positive().max(0.3).optional(),
+        // Width of the mat between the painting and the frame, in meters
+        mat: z.number().min(0).max(0.5).optional(),
+      })
+      .optional(),
+    // Set to false to hang the painting without its title plaque
+    plaque: z.boolean().optional(),
+    // Guided tours (?tour=<name>) that stop at this painting
+    tours: z
+      .array(
+        z.object({
+          tour: slug(),
+          // Position in the tour; stops without one follow in file order
+          order: z.number().int().optional(),
+          caption: z.string().optional(),
+          // Seconds to stay before moving on
+          duration: z.number().positive().optional(),
+          // Step through the additional images in the lightbox afterwards
+          showImages: z.boolean().optional(),
+        })
+      )
+      .optional(),
+  }),
+});
+
+export const collections = { rooms, paintings };
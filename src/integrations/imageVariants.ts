@@ -0,0 +1,117 @@
+import { mkdir, readdir, readFile, stat, writeFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { dirname, extname, join, relative } from 'node:path';
+import type { AstroIntegration, AstroIntegrationLogger } from 'astro';
+import sharp from 'sharp';
+import { MANIFEST_PATH, type ImageVariantManifest, type ImageVariantSet } from '../lib/imageVariants';
+
+// Every raster image under public/images gets downscaled webp and avif copies
+// in public/_variants (git-ignored), plus a tiny inline placeholder. The full
+// image keeps its original URL.
+const SOURCE_DIR = 'public/images';
+
+const WIDTHS = [480, 960, 1440];
+const PLACEHOLDER_WIDTH = 16;
+const SOURCE_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+
+// avif is far slower to encode, so it gets a lower effort
+const ENCODERS = {
+  avif: (image: sharp.Sharp) => image.avif({ quality: 50, effort: 2 }),
+  webp: (image: sharp.Sharp) => image.webp({ quality: 80 }),
+} as const;
+
+async function findImages(dir: string): Promise<string[]> {
+  if (!existsSync(dir)) return [];
+  const entries = await readdir(dir, { withFileTypes: true });
+  const files = await Promise.all(
+    entries.map((entry) => {
+      const path = join(dir, entry.name);
+      if (entry.isDirectory()) return findImages(path);
+      return SOURCE_EXTENSIONS.includes(extname(entry.name).toLowerCase()) ? [path] : [];
+    })
+  );
+  return files.flat();
+}
+
+async function readManifest(): Promise<ImageVariantManifest> {
+  try {
+    return JSON.parse(await readFile(MANIFEST_PATH, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+// Reuse the previous result while the source is unchanged and its files exist
+function isFresh(entry: ImageVariantSet | undefined, size: number, mtime: number) {
+  return (
+    entry !== undefined &&
+    entry.source.size === size &&
+    entry.source.mtime === mtime &&
+    entry.variants.every((variant) => existsSync(join('public', variant.url)))
+  );
+}
+
+async function createVariants(file: string, url: string, size: number, mtime: number): Promise<ImageVariantSet> {
+  const metadata = await sharp(file).metadata();
+  const width = metadata.width ?? 0;
+  const height = metadata.height ?? 0;
+  const base = url.slice(0, -extname(url).length);
+
+  const variants: ImageVariantSet['variants'] = [];
+  for (const variantWidth of WIDTHS.filter((w) => w < width)) {
+    const variantHeight = Math.round((height * variantWidth) / width);
+    for (const [format, encode] of Object.entries(ENCODERS)) {
+      const variantUrl = `/_variants${base}-${variantWidth}.${format}`;
+      const outputPath = join('public', variantUrl);
+      await mkdir(dirname(outputPath), { recursive: true });
+      await encode(sharp(file).resize({ width: variantWidth })).toFile(outputPath);
+      variants.push({ url: variantUrl, width: variantWidth, height: variantHeight, format: format as 'avif' | 'webp' });
+    }
+  }
+
+  const placeholder = await sharp(file).resize({ width: PLACEHOLDER_WIDTH }).webp({ quality: 50 }).toBuffer();
+
+  return {
+    width,
+    height,
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+    variants,
+    source: { size, mtime },
+  };
+}
+
+export async function generateImageVariants(logger?: AstroIntegrationLogger) {
+  const previous = await readManifest();
+  const manifest: ImageVariantManifest = {};
+  let generated = 0;
+
+  for (const file of await findImages(SOURCE_DIR)) {
+    const url = '/' + relative('public', file).split('\\').join('/');
+    const { size, mtimeMs } = await stat(file);
+    const mtime = Math.round(mtimeMs);
+
+    if (isFresh(previous[url], size, mtime)) {
+      manifest[url] = previous[url];
+      continue;
+    }
+    manifest[url] = await createVariants(file, url, size, mtime);
+    generated++;
+  }
+
+  await mkdir(dirname(MANIFEST_PATH), { recursive: true });
+  await writeFile(MANIFEST_PATH, JSON.stringify(manifest, null, 2));
+  if (generated > 0) logger?.info(`Generated variants for ${generated} image(s)`);
+}
+
+// Runs before dev and build, so public/ already holds the variants when
+// Astro serves or copies it
+export default function imageVariants(): AstroIntegration {
+  return {
+    name: 'image-variants',
+    hooks: {
+      'astro:config:setup': async ({ logger }) => {
+        await generateImageVariants(logger);
+      },
+    },
+  };
+}
@@ -0,0 +1,44 @@
+import { readFileSync } from 'node:fs';
+
+// Written by the image-variants integration (src/integrations/imageVariants.ts)
+export const MANIFEST_PATH = 'public/_variants/manifest.json';
+
+export type ImageVariant = {
+  url: string;
+  width: number;
+  height: number;
+  format: 'avif' | 'webp';
+};
+
+export type ImageVariantSet = {
+  // Size of the original image
+  width: number;
+  height: number;
+  // Tiny blurry version as a data URI, shown while the real image loads
+  placeholder: string;
+  variants: ImageVariant[];
+  source: { size: number; mtime: number };
+};
+
+export type ImageVariantManifest = Record<string, ImageVariantSet>;
+
+let manifest: ImageVariantManifest | null = null;
+
+// Variants for the given image URLs, for the client to pick from. Images
+// without variants are left out and load at full size.
+export function getImageVariants(urls: string[]): Record<string, Omit<ImageVariantSet, 'source'>> {
+  manifest ??= JSON.parse(readFileSync(MANIFEST_PATH, 'utf-8')) as ImageVariantManifest;
+  const variants: Record<string, Omit<ImageVariantSet, 'source'>> = {};
+  for (const url of new Set(urls)) {
+    const entry = manifest[url];
+    if (!entry) continue;
+    const { source, ...rest } = entry;
+    variants[url] = rest;
+  }
+  return variants;
+}
+
+// Every image a painting shows in the room or the lightbox
+export function getPaintingImageUrls(paintings: { url: string; images?: { url: string }[] }[]): string[] {
+  return paintings.flatMap((painting) => [painting.url, ...(painting.images ?? []).map((image) => image.url)]);
+}
@@ -0,0 +1,100 @@
+import { getCollection, type CollectionEntry } from 'astro:content';
+
+export type Room = CollectionEntry<'rooms'>['data'];
+
+export type PaintingImage = { url: string; alt?: string };
+
+// Every painting is resolved to a room, so `room` is always set here, and
+// additional images are always { url, alt } objects
+export type Painting = Omit<CollectionEntry<'paintings'>['data'], 'images'> & {
+  room: string;
+  images?: PaintingImage[];
+};
+
+export type TourStop = {
+  // Index of the painting in getPaintings()
+  painting: number;
+  caption?: string;
+  duration?: number;
+  showImages?: boolean;
+};
+
+// Used when src/content/rooms is empty, so a single-room site needs no room files
+const DEFAULT_ROOM: Room = { title: 'Gallery', slug: 'main' };
+
+// Load the rooms in file order; the first one is the entrance at /
+export async function getRooms(): Promise<Room[]> {
+  const entries = await getCollection('rooms');
+  if (entries.length === 0) return [DEFAULT_ROOM];
+  entries.sort((a, b) => a.id.localeCompare(b.id));
+
+  const seen = new Map<string, string>();
+  for (const entry of entries) {
+    const other = seen.get(entry.data.slug);
+    if (other) {
+      throw new Error(
+        `Duplicate room slug "${entry.data.slug}" in src/content/rooms/${other}.json and src/content/rooms/${entry.id}.json`
+      );
+    }
+    seen.set(entry.data.slug, entry.id);
+  }
+
+  return entries.map((entry) => entry.data);
+}
+
+// Load the painting catalogue in file order. The array index is the painting id
+// used by Room3D and the nav links, so the order has to be stable.
+export async function getPaintings(): Promise<Painting[]> {
+  const entries = await getCollection('paintings');
+  entries.sort((a, b) => a.id.localeCompare(b.id));
+  const rooms = await getRooms();
+
+  // Slugs become URLs, so two entries sharing one would shadow each other
+  const seen = new Map<string, string>();
+  for (const entry of entries) {
+    const other = seen.get(entry.data.slug);
+    if (other) {
+      throw new Error(
+        `Duplicate painting slug "${entry.data.slug}" in src/content/paintings/${other}.json and src/content/paintings/${entry.id}.json`
+      );
+    }
+    seen.set(entry.data.slug, entry.id);
+
+    if (entry.data.room && !rooms.some((room) => room.slug === entry.data.room)) {
+      throw new Error(
+        `Unknown room "${entry.data.room}" in src/content/paintings/${entry.id}.json. Expected one of: ${rooms.map((room) => room.slug).join(', ')}`
+      );
+    }
+  }
+
+  return entries.map((entry) => ({
+    ...entry.data,
+    room: entry.data.room ?? rooms[0].slug,
+    images: entry.data.images?.map((image) => (typeof image === 'string' ? { url: image } : image)),
+  }));
+}
+
+// Collect the guided tours named in the paintings' `tours` lists, keyed by
+// tour name. Stops are sorted by their order, then by painting order.
+export function getTours(paintings: Painting[]): Record<string, TourStop[]> {
+  const tours: Record<string, (TourStop & { order: number })[]> = {};
+  paintings.forEach((painting, index) => {
+    const names = new Set<string>();
+    for (const { tour, order, ...stop } of painting.tours ?? []) {
+      if (names.has(tour)) {
+        throw new Error(`Painting "${painting.slug}" is listed twice in tour "${tour}"`);
+      }
+      names.add(tour);
+      (tours[tour] ??= []).push({ ...stop, painting: index, order: order ?? Infinity });
+    }
+  });
+
+  return Object.fromEntries(
+    Object.entries(tours).map(([name, stops]) => [
+      name,
+      stops
+        .sort((a, b) => a.order - b.order || a.painting - b.painting)
+        .map(({ order, ...stop }) => stop),
+    ])
+  );
+}